@@ -2,13 +2,13 @@ function startChat() {
     document.getElementById('welcomeScreen').classList.add('hidden');
     document.getElementById('chatMessages').classList.remove('hidden');
     document.getElementById('inputContainer').classList.add('hidden');
-    showBirthForm();
+    showNameMobileForm();
 }
 
 async function startPayment(planType, userId, userDetails) {
   const response = await fetch('/api/payment/create-order', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: authHeaders({ 'Content-Type': 'application/json' }),
     body: JSON.stringify({ planType, userId, userDetails })
   });
   const result = await response.json();
@@ -0,0 +1,84 @@
+// Build a larger gazetteer for services/places from a GeoNames dump
+// (https://download.geonames.org/export/dump/): a cities file such as
+// cities15000.txt, plus countryInfo.txt and admin1CodesASCII.txt for names.
+//
+//   npm run build:gazetteer -- --cities cities15000.txt --countries countryInfo.txt \
+//     --admin1 admin1CodesASCII.txt --out data/cities.tsv
+//
+// Then point PLACES_GAZETTEER_PATH at the output file.
+//
+// Options:
+//   --min-population <n>   Skip smaller places (default 0)
+//   --out <file>           Output path (default services/places/cities.tsv)
+//
+// Alternate names keep Latin and Devanagari spellings only, which is what
+// users type in this app, so the file stays small.
+
+const fs = require('fs');
+const path = require('path');
+
+const HEADER = '# name\tasciiname\talternatenames\tlatitude\tlongitude\tcountry_code\tcountry\tadmin1\tpopulation\ttimezone';
+const USEFUL_NAME = /^[\p{Script=Latin}\p{Script=Devanagari}\s.'-]+$/u;
+const MAX_ALTERNATES = 12;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+function readRows(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() && !line.startsWith('#'))
+    .map(line => line.split('\t'));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.cities || !args.countries || !args.admin1) {
+    throw new Error('Usage: --cities <citiesN.txt> --countries <countryInfo.txt> --admin1 <admin1CodesASCII.txt> [--out <file>]');
+  }
+
+  const out = args.out || path.join(__dirname, '..', 'services', 'places', 'cities.tsv');
+  const minPopulation = parseInt(args['min-population']) || 0;
+
+  const countries = new Map(readRows(args.countries).map(row => [row[0], row[4]]));
+  const admin1 = new Map(readRows(args.admin1).map(row => [row[0], row[1]]));
+
+  const rows = readRows(args.cities)
+    .filter(row => (parseInt(row[14]) || 0) >= minPopulation)
+    .sort((a, b) => (parseInt(b[14]) || 0) - (parseInt(a[14]) || 0))
+    .map(row => {
+      const [, name, asciiName, alternateNames, latitude, longitude] = row;
+      const countryCode = row[8];
+      const alternates = [...new Set((alternateNames || '').split(','))]
+        .filter(alternate => alternate && alternate !== name && alternate !== asciiName && USEFUL_NAME.test(alternate))
+        .slice(0, MAX_ALTERNATES);
+
+      return [
+        name,
+        asciiName,
+        alternates.join(','),
+        latitude,
+        longitude,
+        countryCode,
+        countries.get(countryCode) || countryCode,
+        admin1.get(`${countryCode}.${row[10]}`) || '',
+        row[14],
+        row[17]
+      ].join('\t');
+    });
+
+  fs.writeFileSync(out, [HEADER, ...rows].join('\n') + '\n');
+  console.log(`✅ Wrote ${rows.length} places to ${out}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
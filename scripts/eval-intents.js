@@ -0,0 +1,116 @@
+// Intent classifier accuracy on the labelled queries in scripts/intent-fixtures:
+// tuning.json holds the phrasings the keyword table was built from and known
+// regressions; held-out.json is never used to pick keywords, so only its
+// accuracy is gated.
+//
+//   npm run eval:intents                       # keyword fallback (offline)
+//   npm run eval:intents -- --router llm       # Claude router (needs CLAUDE_API_KEY)
+//
+// Options:
+//   --router <name>   keywords (default) or llm
+//   --min <ratio>     Exit with status 1 when held-out accuracy is below this
+//                     (default 0.9, the bar both routers are held to)
+
+require('dotenv').config();
+
+const path = require('path');
+const IntentRouter = require('../services/intent');
+const { INTENTS } = require('../services/intent/taxonomy');
+
+const FIXTURE_SETS = [
+  { name: 'tuning', file: path.join(__dirname, 'intent-fixtures', 'tuning.json'), gated: false },
+  { name: 'held-out', file: path.join(__dirname, 'intent-fixtures', 'held-out.json'), gated: true }
+];
+const DEFAULT_MIN_ACCURACY = 0.9;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+// The LLM path is called directly so a failed call counts as a miss instead of
+// silently scoring the keyword fallback
+async function classify(router, query) {
+  if (router === 'keywords') return IntentRouter.classifyOffline(query);
+  return IntentRouter.classifyWithClaude(query, []);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const router = args.router || 'keywords';
+  const min = args.min ? parseFloat(args.min) : DEFAULT_MIN_ACCURACY;
+
+  if (!['keywords', 'llm'].includes(router)) {
+    throw new Error(`Unknown router "${router}" - use keywords or llm`);
+  }
+  if (router === 'llm' && !IntentRouter.isLLMEnabled()) {
+    throw new Error('The llm router needs CLAUDE_API_KEY (and INTENT_ROUTER not set to keywords)');
+  }
+
+  let passed = true;
+  for (const set of FIXTURE_SETS) {
+    const accuracy = await evaluate(router, set);
+    if (set.gated && accuracy < min) passed = false;
+  }
+
+  console.log(`\n${passed ? '✅' : '❌'} Held-out accuracy ${passed ? 'meets' : 'is below'} the minimum of ${percent(min)}`);
+  if (!passed) {
+    process.exitCode = 1;
+  }
+}
+
+// Scores one fixture set and prints its per-intent breakdown; returns the accuracy
+async function evaluate(router, set) {
+  const cases = require(set.file);
+  const perIntent = Object.fromEntries(INTENTS.map(intent => [intent, { total: 0, correct: 0 }]));
+  const misses = [];
+  let correct = 0;
+
+  console.log(`🧭 Evaluating the ${router} router on ${cases.length} ${set.name} queries${router === 'llm' ? ` (${IntentRouter.model})` : ''}\n`);
+
+  for (const { query, intent } of cases) {
+    let predicted;
+    try {
+      predicted = (await classify(router, query)).intent;
+    } catch (error) {
+      predicted = `error: ${error.message}`;
+    }
+
+    perIntent[intent].total++;
+    if (predicted === intent) {
+      correct++;
+      perIntent[intent].correct++;
+    } else {
+      misses.push({ query, expected: intent, predicted });
+    }
+  }
+
+  const accuracy = correct / cases.length;
+
+  console.log('Per intent:');
+  Object.entries(perIntent)
+    .filter(([, counts]) => counts.total > 0)
+    .forEach(([intent, counts]) => {
+      console.log(`   ${intent.padEnd(17)} ${String(counts.correct).padStart(3)}/${String(counts.total).padEnd(3)} ${percent(counts.correct / counts.total)}`);
+    });
+
+  if (misses.length > 0) {
+    console.log('\nMisclassified:');
+    misses.forEach(miss => console.log(`   ❌ "${miss.query}" - expected ${miss.expected}, got ${miss.predicted}`));
+  }
+
+  console.log(`\n${set.gated ? '🎯' : '🔧'} ${set.name} accuracy: ${correct}/${cases.length} (${percent(accuracy)})\n`);
+  return accuracy;
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+});
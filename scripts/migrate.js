@@ -0,0 +1,9 @@
+// Apply pending storage migrations without starting the server:
+//   npm run migrate
+
+const storage = require('../services/storage');
+
+// Opening the SQLite store already runs pending migrations
+const { version } = storage.migrate();
+console.log(`✅ Storage (${storage.driver}) is at schema version ${version}`);
+storage.close();
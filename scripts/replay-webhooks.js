@@ -0,0 +1,181 @@
+// Local Razorpay webhook harness.
+// Creates a test user and a Basic plan order on a running server (which needs
+// Razorpay test keys), signs the sample payloads in scripts/webhook-fixtures
+// with a test secret and replays them for that order. After each delivery it
+// checks the user's credit balance: a payment for the wrong amount grants
+// nothing, the capture grants the plan once, duplicates change nothing and the
+// refund takes the credits back. Bad signatures must be rejected.
+//
+//   RAZORPAY_WEBHOOK_SECRET=test_secret npm start
+//   RAZORPAY_WEBHOOK_SECRET=test_secret npm run test:webhooks
+//
+// Options:
+//   --url <base>      Server base URL (default http://localhost:$PORT or 3000)
+//   --secret <value>  Signing secret (default RAZORPAY_WEBHOOK_SECRET)
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+// The fixtures charge 19900 paise, the Basic plan's price
+const PLAN = 'basic';
+const PLAN_QUESTIONS = 5;
+
+// The order in which Razorpay would typically deliver them, with the credit
+// balance expected once each is processed
+const FIXTURES = [
+  { name: 'payment.captured', balance: PLAN_QUESTIONS },
+  { name: 'order.paid', balance: PLAN_QUESTIONS },
+  { name: 'payment.failed', balance: PLAN_QUESTIONS },
+  { name: 'refund.processed', balance: 0 }
+];
+
+const TEST_USER = {
+  fullName: 'Webhook Test',
+  gender: 'female',
+  birthDate: '1990-01-01',
+  birthTime: '12:00',
+  birthPlace: 'Mumbai'
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Fixtures are sent byte-for-byte as they are on disk (pretty-printed), which
+// only validates if the server signs the raw body rather than re-serialized JSON
+function loadFixture(name, ids) {
+  return fs.readFileSync(path.join(__dirname, 'webhook-fixtures', `${name}.json`), 'utf8')
+    .replace(/{{ORDER_ID}}/g, ids.orderId)
+    .replace(/{{PAYMENT_ID}}/g, ids.paymentId);
+}
+
+async function send(url, body, headers) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body
+  });
+  const data = await response.json().catch(() => ({}));
+  return { status: response.status, data };
+}
+
+// A fresh user with an unpaid order, so the credits seen are only this run's
+async function createOrder(baseUrl) {
+  const created = await send(`${baseUrl}/api/user/create`, JSON.stringify(TEST_USER));
+  if (!created.data.success) {
+    throw new Error(`Could not create a test user (HTTP ${created.status}): ${created.data.message}`);
+  }
+
+  const userId = created.data.user.id;
+  const auth = { Authorization: `Bearer ${created.data.sessionToken}` };
+  const order = await send(`${baseUrl}/api/payment/create-order`, JSON.stringify({ userId, planType: PLAN }), auth);
+  if (!order.data.success) {
+    throw new Error(`Could not create an order (HTTP ${order.status}) - are the server's Razorpay test keys set? ${order.data.message}`);
+  }
+
+  return { userId, auth, orderId: order.data.order.id };
+}
+
+async function getBalance(baseUrl, { userId, auth }) {
+  const response = await fetch(`${baseUrl}/api/credits/${userId}`, { headers: auth });
+  const data = await response.json().catch(() => ({}));
+  return data.balance;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const baseUrl = args.url || `http://localhost:${process.env.PORT || 3000}`;
+  const secret = args.secret || process.env.RAZORPAY_WEBHOOK_SECRET;
+  const runId = Date.now().toString(36);
+  const url = `${baseUrl}/api/payment/webhook`;
+
+  if (!secret) {
+    console.error('❌ Set RAZORPAY_WEBHOOK_SECRET (the same value the server uses) or pass --secret');
+    process.exit(1);
+  }
+
+  const buyer = await createOrder(baseUrl);
+  const ids = {
+    orderId: buyer.orderId,
+    paymentId: `pay_test_${runId}`
+  };
+
+  console.log(`🧪 Replaying Razorpay webhooks against ${url}`);
+  console.log(`   user: ${buyer.userId}  order: ${ids.orderId}  payment: ${ids.paymentId}\n`);
+
+  const results = [];
+  const check = (name, passed, detail) => {
+    results.push(passed);
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+  };
+
+  // Sent first, while the order is still unpaid, so it must not fulfil it
+  const mismatchBody = loadFixture('payment.captured.amount_mismatch', ids);
+  const mismatch = await send(url, mismatchBody, {
+    'x-razorpay-signature': sign(mismatchBody, secret),
+    'x-razorpay-event-id': `evt_amount_mismatch_${runId}`
+  });
+  let balance = await getBalance(baseUrl, buyer);
+  check(
+    'wrong amount not fulfilled',
+    mismatch.status === 200 && mismatch.data.reason === 'amount_mismatch' && balance === 0,
+    `HTTP ${mismatch.status}, ${mismatch.data.reason}, balance ${balance}`
+  );
+
+  for (const fixture of FIXTURES) {
+    const body = loadFixture(fixture.name, ids);
+    const { status, data } = await send(url, body, {
+      'x-razorpay-signature': sign(body, secret),
+      'x-razorpay-event-id': `evt_${fixture.name}_${runId}`
+    });
+    balance = await getBalance(baseUrl, buyer);
+    check(
+      `${fixture.name} processed`,
+      status === 200 && data.success === true && !data.ignored && balance === fixture.balance,
+      `HTTP ${status}${data.reason ? `, ${data.reason}` : ''}, balance ${balance} (expected ${fixture.balance})`
+    );
+  }
+
+  // Redelivering the capture after the refund must not grant the plan again
+  const firstBody = loadFixture(FIXTURES[0].name, ids);
+  const duplicate = await send(url, firstBody, {
+    'x-razorpay-signature': sign(firstBody, secret),
+    'x-razorpay-event-id': `evt_${FIXTURES[0].name}_${runId}`
+  });
+  balance = await getBalance(baseUrl, buyer);
+  check(
+    'duplicate event ignored',
+    duplicate.status === 200 && duplicate.data.duplicate === true && balance === 0,
+    `HTTP ${duplicate.status}, balance ${balance}`
+  );
+
+  const tampered = await send(url, firstBody.replace('19900', '99900'), {
+    'x-razorpay-signature': sign(firstBody, secret),
+    'x-razorpay-event-id': `evt_tampered_${runId}`
+  });
+  check('tampered body rejected', tampered.status === 400, `HTTP ${tampered.status}`);
+
+  const unsigned = await send(url, firstBody, { 'x-razorpay-event-id': `evt_unsigned_${runId}` });
+  check('missing signature rejected', unsigned.status === 400, `HTTP ${unsigned.status}`);
+
+  const passed = results.filter(Boolean).length;
+  console.log(`\n${passed}/${results.length} checks passed`);
+  process.exit(passed === results.length ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Webhook harness failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+const TokenService = require('./TokenService');
+
+const MOBILE_PATTERN = /^[6-9]\d{9}$/;
+
+// Accounts are identified by an Indian mobile number and own the birth
+// profile (`users` record) created after registration, so a returning
+// number gets its chart and credits back. Session tokens are signed by
+// TokenService and carry the account id as `aid`.
+class AccountService {
+  constructor() {
+    this.accounts = storage.collection('accounts');
+  }
+
+  // ✅ 10-digit form of an Indian mobile (+91 / 0 prefixes allowed), or null
+  normalizeMobile(input) {
+    let digits = String(input || '').replace(/[^\d]/g, '');
+    if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    return MOBILE_PATTERN.test(digits) ? digits : null;
+  }
+
+  findByMobile(mobile) {
+    return this.accounts.where('mobile', mobile)[0] || null;
+  }
+
+  get(accountId) {
+    return this.accounts.get(accountId) || null;
+  }
+
+  // ✅ Create the account for a mobile, or log in to the existing one
+  register(name, mobile) {
+    return storage.transaction(() => {
+      const now = new Date().toISOString();
+      const existing = this.findByMobile(mobile);
+
+      if (existing) {
+        const account = { ...existing, lastLoginAt: now };
+        this.accounts.set(account.id, account);
+        return { account, isNew: false };
+      }
+
+      const account = {
+        id: crypto.randomUUID(),
+        name,
+        mobile,
+        userId: null,
+        createdAt: now,
+        lastLoginAt: now
+      };
+      this.accounts.set(account.id, account);
+      return { account, isNew: true };
+    });
+  }
+
+  // ✅ Attach the account's birth profile
+  linkUser(accountId, userId) {
+    const account = this.get(accountId);
+    if (!account) throw new Error('Account not found');
+
+    const updated = { ...account, userId };
+    this.accounts.set(accountId, updated);
+    return updated;
+  }
+
+  // ✅ New session token for an account
+  issueToken(accountId) {
+    return TokenService.sign({ aid: accountId });
+  }
+
+  // ✅ Account for a session token - null when invalid, expired or not an account token
+  resolveToken(token) {
+    const claims = TokenService.verify(token);
+    return claims && claims.aid ? this.get(claims.aid) : null;
+  }
+}
+
+module.exports = new AccountService();
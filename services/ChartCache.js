@@ -0,0 +1,107 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const MAX_ENTRIES = parseInt(process.env.CHART_CACHE_MAX_ENTRIES) || 5000;
+
+// Chart data keyed by a hash of the birth inputs, so every profile with the
+// same birth moment and place shares one entry and edited birth details
+// simply stop matching. Entries without expiresAt never expire (natal data);
+// time-dependent ones carry their own. Bounded LRU in memory, written through
+// to `chart_cache` so a restart keeps the cache warm.
+class ChartCache {
+  constructor() {
+    this.store = storage.collection('chart_cache');
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+    // Reload the most recently used entries, oldest first so Map order is LRU order
+    const persisted = this.store.values().sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    persisted.slice(0, Math.max(0, persisted.length - MAX_ENTRIES)).forEach(entry => this.store.delete(entry.key));
+    persisted.slice(-MAX_ENTRIES).forEach(entry => this.entries.set(entry.key, entry));
+  }
+
+  // ✅ Stable hash of everything the chart is computed from (not the name)
+  birthKey(birthData) {
+    const inputs = [
+      birthData.year, birthData.month, birthData.day, birthData.hour, birthData.minute,
+      Number(birthData.latitude).toFixed(4),
+      Number(birthData.longitude).toFixed(4),
+      birthData.timezoneOffset === undefined ? 5.5 : birthData.timezoneOffset
+    ];
+    // Moon charts (unknown birth time) differ from the lagna chart of the same inputs
+    if (birthData.chartBasis === 'moon') inputs.push('moon');
+    return crypto.createHash('sha256').update(inputs.join('|')).digest('hex').substring(0, 32);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.counters.misses++;
+      return undefined;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      this.counters.expirations++;
+      this.counters.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    const touched = { ...entry, lastUsedAt: Date.now() };
+    this.entries.delete(key);
+    this.entries.set(key, touched);
+    this.store.set(key, touched);
+
+    this.counters.hits++;
+    return entry.value;
+  }
+
+  // ✅ Pass ttlMs or expiresAt (ms timestamp) for data that changes; neither keeps it until evicted
+  set(key, value, { ttlMs = null, expiresAt = null } = {}) {
+    const now = Date.now();
+    const entry = {
+      key,
+      value,
+      expiresAt: expiresAt || (ttlMs ? now + ttlMs : null),
+      lastUsedAt: now
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.store.set(key, entry);
+
+    while (this.entries.size > MAX_ENTRIES) {
+      const oldest = this.entries.keys().next().value;
+      this.delete(oldest);
+      this.counters.evictions++;
+    }
+
+    return value;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+    this.store.delete(key);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // ✅ Hit rate since start, for the health check
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      entries: this.entries.size,
+      maxEntries: MAX_ENTRIES,
+      ...this.counters,
+      hitRate: lookups ? Number((this.counters.hits / lookups).toFixed(3)) : null
+    };
+  }
+}
+
+module.exports = new ChartCache();
@@ -0,0 +1,114 @@
+require('dotenv').config();
+
+const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+
+class ClaudeService {
+  constructor() {
+    this.apiUrl = 'https://api.anthropic.com/v1/messages';
+    this.apiVersion = '2023-06-01';
+    this.model = process.env.CLAUDE_MODEL || 'claude-3-haiku-20240307';
+  }
+
+  isConfigured() {
+    return !!process.env.CLAUDE_API_KEY;
+  }
+
+  // ✅ Raw Messages API call - throws on non-2xx so callers only handle success
+  async request(body, { signal } = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Claude API key not found in environment variables');
+    }
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.CLAUDE_API_KEY,
+        'anthropic-version': this.apiVersion
+      },
+      body: JSON.stringify({ model: this.model, ...body }),
+      signal
+    });
+
+    console.log(`📡 Claude API Response Status: ${response.status}`);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`❌ Claude API Error: ${response.status} ${response.statusText}`);
+      console.error('Error details:', errorText);
+      throw new Error(`Claude API error: ${response.status} - ${errorText}`);
+    }
+
+    return response;
+  }
+
+  // ✅ Buffered completion
+  async createMessage(body) {
+    const response = await this.request({ ...body, stream: false });
+    const data = await response.json();
+
+    if (!data.content || !data.content[0] || !data.content[0].text) {
+      throw new Error('Invalid response format from Claude API');
+    }
+
+    return { text: data.content[0].text, usage: data.usage };
+  }
+
+  // ✅ Structured output - forces a call to `tool` and returns the JSON input Claude gave it
+  async callTool(body, tool, options = {}) {
+    const response = await this.request({
+      ...body,
+      tools: [tool],
+      tool_choice: { type: 'tool', name: tool.name },
+      stream: false
+    }, options);
+    const data = await response.json();
+    const block = (data.content || []).find(item => item.type === 'tool_use' && item.name === tool.name);
+
+    if (!block || !block.input) {
+      throw new Error(`Claude did not call the ${tool.name} tool`);
+    }
+
+    return { input: block.input, usage: data.usage };
+  }
+
+  // ✅ Streaming completion - onToken receives every text delta
+  async streamMessage(body, onToken = () => {}) {
+    const response = await this.request({ ...body, stream: true });
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let text = '';
+
+    // Anthropic sends SSE frames separated by a blank line
+    for await (const chunk of response.body) {
+      buffer += decoder.write(chunk);
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const dataLine = frame.split('\n').find(line => line.startsWith('data:'));
+        if (!dataLine) continue;
+
+        const event = JSON.parse(dataLine.slice(5).trim());
+
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          onToken(event.delta.text);
+        } else if (event.type === 'error') {
+          throw new Error(`Claude API stream error: ${event.error?.message || 'unknown error'}`);
+        }
+      }
+    }
+
+    if (!text) {
+      throw new Error('Empty streaming response from Claude API');
+    }
+
+    return { text };
+  }
+}
+
+module.exports = new ClaudeService();
@@ -0,0 +1,114 @@
+require('dotenv').config();
+
+const ClaudeService = require('./ClaudeService');
+
+// Multi-turn chat memory. Sessions keep structured `turns`
+// ({ role: 'user' | 'assistant', content, timestamp }) plus a running
+// `summary` of turns that no longer fit in the history token budget.
+class ConversationService {
+  constructor() {
+    this.historyTokenBudget = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 2000;
+    this.summaryMaxTokens = 300;
+  }
+
+  // Rough estimate (~4 characters per token) - good enough for budgeting
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  createSession(userId = null) {
+    return {
+      userId,
+      turns: [],
+      summary: '',
+      startTime: Date.now(),
+      queryCount: 0
+    };
+  }
+
+  // ✅ History as alternating user/assistant messages within the token budget
+  buildMessages(session, message) {
+    const history = [];
+    let used = this.estimateTokens(message);
+
+    // Walk back from the newest exchange and stop once the budget is spent
+    for (let i = session.turns.length - 1; i > 0; i -= 2) {
+      const userTurn = session.turns[i - 1];
+      const assistantTurn = session.turns[i];
+      const cost = this.estimateTokens(userTurn.content) + this.estimateTokens(assistantTurn.content);
+
+      if (used + cost > this.historyTokenBudget) break;
+
+      history.unshift(
+        { role: 'user', content: userTurn.content },
+        { role: 'assistant', content: assistantTurn.content }
+      );
+      used += cost;
+    }
+
+    return [...history, { role: 'user', content: message }];
+  }
+
+  // ✅ Record a completed exchange - turns are only ever added in pairs
+  addExchange(session, userMessage, botMessage, metadata = {}) {
+    const timestamp = Date.now();
+    session.turns.push(
+      { role: 'user', content: userMessage, timestamp, ...metadata },
+      { role: 'assistant', content: botMessage, timestamp }
+    );
+    session.lastActivity = timestamp;
+    return session;
+  }
+
+  // ✅ Fold the oldest turns into `summary` once history outgrows the budget.
+  // Keeps recent exchanges worth about half the budget verbatim.
+  async compact(session) {
+    const totalTokens = session.turns.reduce((sum, turn) => sum + this.estimateTokens(turn.content), 0);
+    if (totalTokens <= this.historyTokenBudget) return session;
+
+    const keepBudget = Math.floor(this.historyTokenBudget / 2);
+    let kept = 0;
+    let splitIndex = session.turns.length;
+
+    while (splitIndex >= 2) {
+      const cost = this.estimateTokens(session.turns[splitIndex - 2].content) +
+        this.estimateTokens(session.turns[splitIndex - 1].content);
+      if (kept + cost > keepBudget) break;
+      kept += cost;
+      splitIndex -= 2;
+    }
+
+    const olderTurns = session.turns.slice(0, splitIndex);
+    if (olderTurns.length === 0) return session;
+
+    try {
+      session.summary = await this.summarize(session.summary, olderTurns);
+    } catch (error) {
+      // Old turns are dropped either way; the previous summary stays as-is
+      console.error('❌ Conversation summary failed:', error.message);
+    }
+
+    session.turns = session.turns.slice(splitIndex);
+    return session;
+  }
+
+  async summarize(previousSummary, turns) {
+    const transcript = turns
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Astrologer'}: ${turn.content}`)
+      .join('\n');
+
+    const { text } = await ClaudeService.createMessage({
+      max_tokens: this.summaryMaxTokens,
+      temperature: 0,
+      system: 'You condense astrology chat transcripts into brief notes for the astrologer. Keep the facts the user shared, the questions they asked, and any predictions, periods or remedies already given. Write plain sentences, under 120 words, no greetings.',
+      messages: [{
+        role: 'user',
+        content: `${previousSummary ? `Existing notes:\n${previousSummary}\n\n` : ''}New transcript:\n${transcript}\n\nReturn the updated notes.`
+      }]
+    });
+
+    return text.trim();
+  }
+}
+
+module.exports = new ConversationService();
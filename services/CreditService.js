@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// Paid question credits. Every change is an entry in `credit_ledger`;
+// `credit_balances` holds the running total per user and is only written
+// in the same transaction as the entry that changes it.
+class CreditService {
+  constructor() {
+    this.ledger = storage.collection('credit_ledger');
+    this.balances = storage.collection('credit_balances');
+  }
+
+  getBalance(userId) {
+    const record = this.balances.get(userId);
+    return record ? record.balance : 0;
+  }
+
+  // Entry ids double as idempotency keys - writing the same id twice is a no-op
+  applyEntry(userId, delta, { id, reason, reference = null, metadata = {} }) {
+    return storage.transaction(() => {
+      if (this.ledger.has(id)) {
+        return { applied: false, entry: this.ledger.get(id), balance: this.getBalance(userId) };
+      }
+
+      const balance = this.getBalance(userId) + delta;
+      const entry = {
+        id,
+        userId,
+        delta,
+        reason,
+        reference,
+        metadata,
+        balanceAfter: balance,
+        createdAt: new Date().toISOString()
+      };
+
+      this.ledger.set(id, entry);
+      this.balances.set(userId, { userId, balance, updatedAt: entry.createdAt });
+
+      return { applied: true, entry, balance };
+    });
+  }
+
+  // ✅ Add purchased credits (idempotent per payment)
+  grant(userId, credits, { reason = 'purchase', reference, metadata } = {}) {
+    if (!reference) throw new Error('A reference is required to grant credits');
+    return this.applyEntry(userId, credits, { id: `${reason}:${reference}`, reason, reference, metadata });
+  }
+
+  // ✅ Take one credit for a question - returns null when the balance is empty
+  debit(userId, { reference = null, metadata } = {}) {
+    return storage.transaction(() => {
+      if (this.getBalance(userId) < 1) return null;
+
+      const id = `question:${crypto.randomUUID()}`;
+      return this.applyEntry(userId, -1, { id, reason: 'question', reference, metadata }).entry;
+    });
+  }
+
+  // ✅ Give back a debit (failed answer) - safe to call more than once
+  refund(debitEntry, reason = 'refund') {
+    return this.applyEntry(debitEntry.userId, -debitEntry.delta, {
+      id: `${reason}:${debitEntry.id}`,
+      reason,
+      reference: debitEntry.id
+    });
+  }
+
+  // ✅ Remove credits (payment refunds) - never takes the balance below zero
+  revoke(userId, credits, { reason = 'revoke', reference, metadata } = {}) {
+    if (!reference) throw new Error('A reference is required to revoke credits');
+    return storage.transaction(() => {
+      const delta = -Math.min(credits, Math.max(0, this.getBalance(userId)));
+      return this.applyEntry(userId, delta, { id: `${reason}:${reference}`, reason, reference, metadata });
+    });
+  }
+
+  getLedger(userId, limit = 50) {
+    return this.ledger.where('userId', userId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+}
+
+module.exports = new CreditService();
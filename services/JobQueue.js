@@ -0,0 +1,155 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const POLL_MS = parseInt(process.env.JOB_POLL_MS) || 5000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// Background jobs persisted in `jobs`, so queued work survives a restart.
+// One in-process worker runs due jobs one at a time; failures are retried
+// with exponential backoff until maxAttempts, then the type's onFailure hook
+// runs. Jobs left `running` by a crash are picked up again by start().
+class JobQueue {
+  constructor() {
+    this.jobs = storage.collection('jobs');
+    this.handlers = new Map();
+    this.timer = null;
+    this.active = false;
+  }
+
+  // ✅ handler(payload, job) does the work; onFailure(job, error) runs once retries are exhausted
+  register(type, handler, { onFailure = null } = {}) {
+    this.handlers.set(type, { handler, onFailure });
+  }
+
+  // ✅ Queue a job - pass `id` to make enqueueing idempotent
+  enqueue(type, payload = {}, { id = crypto.randomUUID(), maxAttempts = DEFAULT_MAX_ATTEMPTS, delayMs = 0 } = {}) {
+    if (this.jobs.has(id)) return this.jobs.get(id);
+
+    const now = new Date();
+    const job = {
+      id,
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts,
+      runAt: new Date(now.getTime() + delayMs).toISOString(),
+      lastError: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    this.jobs.set(id, job);
+    this.kick();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  start(intervalMs = POLL_MS) {
+    if (this.timer) return;
+
+    this.jobs.where('status', 'running').forEach(job => {
+      this.jobs.set(job.id, { ...job, status: 'pending', updatedAt: new Date().toISOString() });
+    });
+
+    this.timer = setInterval(() => this.runDue(), intervalMs);
+    this.timer.unref();
+    this.kick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Run soon, after the caller's transaction has committed
+  kick() {
+    if (this.timer) setImmediate(() => this.runDue());
+  }
+
+  nextDue() {
+    const now = new Date().toISOString();
+    return this.jobs.where('status', 'pending')
+      .filter(job => job.runAt <= now)
+      .sort((a, b) => a.runAt.localeCompare(b.runAt))[0] || null;
+  }
+
+  async runDue() {
+    if (this.active) return;
+    this.active = true;
+
+    try {
+      let job;
+      while (this.timer && (job = this.nextDue())) {
+        await this.run(job);
+      }
+    } finally {
+      this.active = false;
+    }
+  }
+
+  async run(job) {
+    const registered = this.handlers.get(job.type);
+    const running = {
+      ...job,
+      status: 'running',
+      attempts: job.attempts + 1,
+      updatedAt: new Date().toISOString()
+    };
+    this.jobs.set(job.id, running);
+
+    try {
+      if (!registered) throw new Error(`No handler registered for job type "${job.type}"`);
+
+      const result = await registered.handler(job.payload, running);
+      this.jobs.set(job.id, {
+        ...running,
+        status: 'done',
+        result: result === undefined ? null : result,
+        completedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      console.log(`✅ Job ${job.type} ${job.id} done`);
+
+    } catch (error) {
+      const exhausted = running.attempts >= running.maxAttempts;
+      const backoffMs = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (running.attempts - 1));
+      const failed = {
+        ...running,
+        status: exhausted ? 'failed' : 'pending',
+        lastError: error.message,
+        runAt: exhausted ? running.runAt : new Date(Date.now() + backoffMs).toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      this.jobs.set(job.id, failed);
+
+      console.error(`❌ Job ${job.type} ${job.id} failed (attempt ${running.attempts}/${running.maxAttempts}):`, error.message);
+
+      if (exhausted && registered && registered.onFailure) {
+        try {
+          await registered.onFailure(failed, error);
+        } catch (hookError) {
+          console.error(`❌ onFailure hook for ${job.type} failed:`, hookError.message);
+        }
+      }
+    }
+  }
+
+  // ✅ Job counts by status, for the health check
+  stats() {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+    this.jobs.values().forEach(job => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    return counts;
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+const AstrologyService = require('./astrology');
+
+// Saved kundli matches between two of a user's profiles, so the chat can
+// explain a result by `matchId` after it was computed.
+class MatchService {
+  constructor() {
+    this.matches = storage.collection('matches');
+  }
+
+  // Groom/bride roles come from gender; otherwise the order given is kept
+  orderCouple(first, second) {
+    return first.gender === 'female' && second.gender === 'male' ? [second, first] : [first, second];
+  }
+
+  // ✅ Score two profiles and keep the result for the user
+  create(user, first, second) {
+    const [groom, bride] = this.orderCouple(first, second);
+    const now = new Date().toISOString();
+
+    const match = {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      groom: { profileId: groom.id, label: groom.label, fullName: groom.fullName },
+      bride: { profileId: bride.id, label: bride.label, fullName: bride.fullName },
+      result: AstrologyService.getMatch(groom.birthData, bride.birthData),
+      createdAt: now
+    };
+
+    this.matches.set(match.id, match);
+    return match;
+  }
+
+  // ✅ Match by id, only if it belongs to `user`
+  resolve(user, matchId) {
+    const match = this.matches.get(matchId);
+    return match && match.userId === user.id ? match : null;
+  }
+
+  list(user) {
+    return this.matches.where('userId', user.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // ✅ Prompt text for the chat's matching mode
+  summarize(match) {
+    return AstrologyService.summarizeMatch(match.result, {
+      groomName: match.groom.fullName,
+      brideName: match.bride.fullName
+    });
+  }
+}
+
+module.exports = new MatchService();
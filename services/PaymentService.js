@@ -2,6 +2,20 @@ require('dotenv').config();
 
 const crypto = require('crypto');
 const Razorpay = require('razorpay');
+const storage = require('./storage');
+const CreditService = require('./CreditService');
+const ReportService = require('./reports');
+
+// Constant-time comparison of a computed hex signature with the one received
+function signaturesMatch(expected, received) {
+  if (typeof received !== 'string') return false;
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
 
 class PaymentService {
   constructor() {
@@ -16,15 +30,17 @@ class PaymentService {
       webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
     };
 
-    // Temporary in-memory storage (replace with DB in production)
-    this.orders = new Map();
-    this.payments = new Map();
+    this.orders = storage.collection('orders');
+    this.payments = storage.collection('payments');
+    this.webhookEvents = storage.collection('webhook_events');
+    this.userStates = storage.collection('user_states');
 
     this.plans = {
       basic: { questions: 5, price: 199, name: 'Basic Plan' },
       standard: { questions: 10, price: 299, name: 'Standard Plan' },
       premium: { questions: 20, price: 399, name: 'Premium Plan' },
-      report: { questions: 0, price: 999, name: 'Full Report' }
+      report: { questions: 0, price: 999, name: 'Full Report' },
+      matching: { questions: 3, price: 349, name: 'Kundli Matching', unlocks: 'matching' }
     };
   }
 
@@ -109,30 +125,13 @@ class PaymentService {
         .update(`${razorpay_order_id}|${razorpay_payment_id}`)
         .digest('hex');
 
-      if (generated_signature !== razorpay_signature) {
+      if (!signaturesMatch(generated_signature, razorpay_signature)) {
         throw new Error('Invalid payment signature');
       }
 
-      const paymentRecord = {
-        id: razorpay_payment_id,
-        orderId: razorpay_order_id,
-        amount: order.amount,
-        currency: order.currency,
-        status: 'captured',
-        method: 'card', // Can enhance with Razorpay webhook
-        userId: order.userId,
-        planType: order.planType,
-        plan: order.plan,
-        createdAt: new Date().toISOString(),
+      const fulfilled = this.fulfillOrder(razorpay_order_id, razorpay_payment_id, {
         verifiedAt: new Date().toISOString()
-      };
-
-      this.payments.set(razorpay_payment_id, paymentRecord);
-
-      // Update order status
-      order.status = 'paid';
-      order.paymentId = razorpay_payment_id;
-      this.orders.set(razorpay_order_id, order);
+      });
 
       console.log('✅ Payment verified:', {
         orderId: razorpay_order_id,
@@ -141,8 +140,7 @@ class PaymentService {
 
       return {
         success: true,
-        payment: paymentRecord,
-        order: order
+        ...fulfilled
       };
 
     } catch (error) {
@@ -151,11 +149,84 @@ class PaymentService {
     }
   }
 
+  // ✅ Mark an order paid and add its credits.
+  // Reached from both client verification and webhooks; credits are keyed by
+  // payment id so whichever arrives second changes nothing.
+  fulfillOrder(orderId, paymentId, details = {}) {
+    return storage.transaction(() => {
+      const order = this.orders.get(orderId);
+      if (!order) throw new Error('Order not found');
+
+      const now = new Date().toISOString();
+      const existing = this.payments.get(paymentId);
+      const paymentRecord = {
+        id: paymentId,
+        orderId,
+        amount: order.amount,
+        currency: order.currency,
+        status: 'captured',
+        method: 'card',
+        userId: order.userId,
+        planType: order.planType,
+        plan: order.plan,
+        createdAt: now,
+        ...existing,
+        ...details
+      };
+      this.payments.set(paymentId, paymentRecord);
+
+      order.status = 'paid';
+      order.paymentId = paymentId;
+      order.paidAt = order.paidAt || now;
+      this.orders.set(orderId, order);
+
+      const questions = order.plan.questions;
+      const grant = questions > 0
+        ? CreditService.grant(order.userId, questions, {
+          reference: paymentId,
+          metadata: { orderId, planType: order.planType }
+        })
+        : { applied: false, balance: CreditService.getBalance(order.userId) };
+
+      // Report orders are fulfilled by the report pipeline
+      const report = order.planType === 'report' ? ReportService.requestForOrder(order) : null;
+
+      const userState = this.userStates.get(order.userId) || {
+        freeQuestionsUsed: 0,
+        isPremium: false,
+        totalQuestions: 0
+      };
+      userState.isPremium = true;
+      userState.planType = order.planType;
+      userState.purchaseDate = userState.paymentId === paymentId ? userState.purchaseDate : now;
+      userState.paymentId = paymentId;
+      this.userStates.set(order.userId, userState);
+
+      if (grant.applied) {
+        console.log('✅ Credits added for order:', {
+          userId: order.userId,
+          planType: order.planType,
+          questions,
+          balance: grant.balance
+        });
+      }
+
+      return {
+        payment: paymentRecord,
+        order,
+        balance: grant.balance,
+        newlyFulfilled: grant.applied,
+        reportId: report ? report.id : null
+      };
+    });
+  }
+
   // ✅ Handle Payment Failure
   async handlePaymentFailure(orderId, errorData) {
     try {
       const order = this.orders.get(orderId);
-      if (order) {
+      // A late failure report must not undo a captured payment
+      if (order && order.status !== 'paid') {
         order.status = 'failed';
         order.error = errorData;
         order.failedAt = new Date().toISOString();
@@ -179,6 +250,10 @@ class PaymentService {
     }
   }
 
+  getOrder(orderId) {
+    return this.orders.get(orderId) || null;
+  }
+
   // ✅ Get Payment Status by Order ID
   getPaymentStatus(orderId) {
     const order = this.orders.get(orderId);
@@ -204,8 +279,7 @@ class PaymentService {
 
   // ✅ User Payment History
   getUserPayments(userId) {
-    return [...this.payments.values()]
-      .filter(p => p.userId === userId)
+    return this.payments.where('userId', userId)
       .map(p => ({
         id: p.id,
         orderId: p.orderId,
@@ -219,45 +293,170 @@ class PaymentService {
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   }
 
-  // ✅ Webhook Validator
+  // ✅ Webhook Validator - `body` must be the raw request bytes, not re-serialized JSON
   validateWebhook(body, signature) {
     try {
+      if (!this.razorpayConfig.webhookSecret) {
+        console.error('Webhook validation failed: RAZORPAY_WEBHOOK_SECRET is not set');
+        return false;
+      }
+
       const generated_signature = crypto
         .createHmac('sha256', this.razorpayConfig.webhookSecret)
         .update(body)
         .digest('hex');
 
-      return generated_signature === signature;
+      return signaturesMatch(generated_signature, signature);
     } catch (error) {
       console.error('Webhook validation failed:', error);
       return false;
     }
   }
 
-  // ✅ Process Webhook Event (optional)
-  async processWebhook(eventData) {
-    const { event, payload } = eventData;
+  // ✅ Process Webhook Event
+  // Razorpay retries deliveries, so each event id is handled at most once.
+  async processWebhook(eventData, eventId) {
+    const { event, payload = {} } = eventData;
+    const id = eventId || this.webhookFallbackId(eventData);
+
+    const seen = this.webhookEvents.get(id);
+    if (seen && seen.status !== 'failed') {
+      console.log('ℹ️ Webhook already handled:', { id, event });
+      return { success: true, duplicate: true };
+    }
+
+    const record = {
+      id,
+      event,
+      receivedAt: new Date().toISOString(),
+      attempts: (seen ? seen.attempts : 0) + 1
+    };
+
     try {
+      let result;
       switch (event) {
         case 'payment.captured':
-          console.log('🔔 Webhook: payment.captured');
+        case 'order.paid':
+          result = this.handleWebhookPaid(payload);
           break;
         case 'payment.failed':
-          console.log('🔔 Webhook: payment.failed');
+          result = await this.handleWebhookFailed(payload);
           break;
-        case 'order.paid':
-          console.log('🔔 Webhook: order.paid');
+        case 'refund.processed':
+          result = this.handleWebhookRefund(payload);
           break;
         default:
           console.log('ℹ️ Webhook ignored:', event);
+          result = { ignored: true };
       }
-      return { success: true };
+
+      console.log(`🔔 Webhook: ${event}`, result);
+      this.webhookEvents.set(id, { ...record, status: result.ignored ? 'ignored' : 'processed', result });
+      return { success: true, ...result };
     } catch (err) {
       console.error('Webhook processing error:', err);
+      this.webhookEvents.set(id, { ...record, status: 'failed', error: err.message });
       throw err;
     }
   }
 
+  // Deliveries without an x-razorpay-event-id header are deduped by content
+  webhookFallbackId(eventData) {
+    const entity = ['refund', 'payment', 'order']
+      .map(key => eventData.payload?.[key]?.entity)
+      .find(Boolean);
+    return `${eventData.event}:${entity ? entity.id : eventData.created_at}`;
+  }
+
+  handleWebhookPaid(payload) {
+    const payment = payload.payment?.entity;
+    const orderId = payment?.order_id || payload.order?.entity?.id;
+
+    if (!payment || !this.orders.has(orderId)) {
+      console.warn('⚠️ Webhook for unknown order:', orderId);
+      return { ignored: true, reason: 'unknown_order', orderId };
+    }
+
+    // Credits follow the order's plan, so the captured payment must be for its price
+    const order = this.orders.get(orderId);
+    if (payment.amount !== order.amount || payment.currency !== order.currency) {
+      console.warn('⚠️ Webhook payment does not match its order:', {
+        orderId,
+        paymentId: payment.id,
+        expected: `${order.amount} ${order.currency}`,
+        received: `${payment.amount} ${payment.currency}`
+      });
+      return {
+        ignored: true,
+        reason: 'amount_mismatch',
+        orderId,
+        paymentId: payment.id,
+        expected: { amount: order.amount, currency: order.currency },
+        received: { amount: payment.amount, currency: payment.currency }
+      };
+    }
+
+    const { balance, newlyFulfilled } = this.fulfillOrder(orderId, payment.id, {
+      method: payment.method,
+      capturedAt: new Date((payment.created_at || Date.now() / 1000) * 1000).toISOString()
+    });
+
+    return { orderId, paymentId: payment.id, balance, newlyFulfilled };
+  }
+
+  async handleWebhookFailed(payload) {
+    const payment = payload.payment?.entity;
+    if (!payment || !this.orders.has(payment.order_id)) {
+      return { ignored: true, reason: 'unknown_order', orderId: payment?.order_id };
+    }
+
+    await this.handlePaymentFailure(payment.order_id, {
+      code: payment.error_code,
+      description: payment.error_description,
+      source: 'webhook'
+    });
+
+    return { orderId: payment.order_id, paymentId: payment.id };
+  }
+
+  // Revoke the refunded share of the plan's credits - only what is still unused
+  handleWebhookRefund(payload) {
+    const refund = payload.refund?.entity;
+    const paymentRecord = refund && this.payments.get(refund.payment_id);
+
+    if (!paymentRecord) {
+      console.warn('⚠️ Refund for unknown payment:', refund?.payment_id);
+      return { ignored: true, reason: 'unknown_payment', paymentId: refund?.payment_id };
+    }
+
+    return storage.transaction(() => {
+      const refundedAmount = (paymentRecord.refundedAmount || 0) + refund.amount;
+      const credits = Math.ceil(paymentRecord.plan.questions * Math.min(1, refund.amount / paymentRecord.amount));
+      const { entry, balance } = CreditService.revoke(paymentRecord.userId, credits, {
+        reference: refund.id,
+        metadata: { paymentId: paymentRecord.id, amount: refund.amount }
+      });
+
+      paymentRecord.refundedAmount = refundedAmount;
+      paymentRecord.status = refundedAmount >= paymentRecord.amount ? 'refunded' : 'partially_refunded';
+      paymentRecord.refundedAt = new Date().toISOString();
+      this.payments.set(paymentRecord.id, paymentRecord);
+
+      return {
+        paymentId: paymentRecord.id,
+        refundId: refund.id,
+        creditsRevoked: -entry.delta,
+        balance
+      };
+    });
+  }
+
+  // ✅ Whether a captured, not fully refunded payment unlocked `feature` for the user
+  hasUnlocked(userId, feature) {
+    return this.payments.where('userId', userId)
+      .some(payment => payment.plan.unlocks === feature && payment.status !== 'refunded');
+  }
+
   getPlanDetails(planType) {
     return this.plans[planType] || null;
   }
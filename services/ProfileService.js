@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const MAX_PROFILES = 10;
+
+// Family members' birth charts. A profile belongs to the user whose credits
+// pay for questions about it; that user's own chart stays on the `users`
+// record and is presented as the primary "Me" profile.
+class ProfileService {
+  constructor() {
+    this.profiles = storage.collection('profiles');
+  }
+
+  // ✅ The user's own chart in profile shape
+  primaryProfile(user) {
+    return {
+      id: user.id,
+      userId: user.id,
+      label: 'Me',
+      fullName: user.fullName,
+      gender: user.gender,
+      birthData: user.birthData,
+      isPrimary: true,
+      createdAt: user.createdAt
+    };
+  }
+
+  // ✅ "Me" first, then family profiles in the order they were added
+  list(user) {
+    const family = this.profiles.where('userId', user.id)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    return [this.primaryProfile(user), ...family];
+  }
+
+  // ✅ Profile by id, only if it belongs to `user` (the user's own id resolves to "Me")
+  resolve(user, profileId) {
+    if (!profileId || profileId === user.id) return this.primaryProfile(user);
+
+    const profile = this.profiles.get(profileId);
+    return profile && profile.userId === user.id ? profile : null;
+  }
+
+  // ✅ Family profile by id, whoever it belongs to
+  get(profileId) {
+    return this.profiles.get(profileId) || null;
+  }
+
+  create(user, { label, fullName, gender, birthData }) {
+    return storage.transaction(() => {
+      if (this.profiles.where('userId', user.id).length >= MAX_PROFILES) {
+        throw new Error(`You can save up to ${MAX_PROFILES} family profiles`);
+      }
+
+      const now = new Date().toISOString();
+      const profile = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        label,
+        fullName,
+        gender,
+        birthData,
+        isPrimary: false,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      this.profiles.set(profile.id, profile);
+      return profile;
+    });
+  }
+
+  update(profile, changes) {
+    const updated = { ...profile, ...changes, updatedAt: new Date().toISOString() };
+    this.profiles.set(profile.id, updated);
+    return updated;
+  }
+
+  remove(profile) {
+    return this.profiles.delete(profile.id);
+  }
+}
+
+module.exports = new ProfileService();
@@ -0,0 +1,85 @@
+// Checks LLM answers against the facts we hand the model (today's date and
+// the user's age) so contradicting answers can be regenerated instead of
+// patched with string replacements.
+
+const NUMBER_WORDS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+class ResponseValidator {
+  // ✅ Date facts for a user, computed at request time in Indian Standard Time
+  temporalFacts(birthData, now = new Date()) {
+    const today = now.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    const [year, month, day] = today.split('-').map(Number);
+
+    const facts = {
+      today,
+      todayLong: now.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata' }),
+      currentYear: year,
+      age: null
+    };
+
+    if (birthData && birthData.year) {
+      const hadBirthday = month > birthData.month || (month === birthData.month && day >= birthData.day);
+      facts.age = year - birthData.year - (hadBirthday ? 0 : 1);
+    }
+
+    return facts;
+  }
+
+  // ✅ Prompt lines stating the facts the answer must agree with
+  promptFacts(facts) {
+    const lines = [
+      `- Today's date: ${facts.todayLong} (${facts.today})`,
+      `- Current year: ${facts.currentYear}`
+    ];
+    if (facts.age !== null) lines.push(`- User's current age: ${facts.age}`);
+    return lines.join('\n');
+  }
+
+  // ✅ List the ways `text` contradicts `facts`; empty when the answer is consistent
+  validate(text, facts) {
+    const issues = [];
+
+    const yearClaims = /\b(?:current|present)\s+year\s+(?:is|as)\s+(\d{4})|\b(?:it is|it's|we are in)\s+(?:now\s+)?(\d{4})\b|\bthis year\s*\(?(?:of\s+)?(\d{4})\)?/gi;
+    let match;
+    while ((match = yearClaims.exec(text)) !== null) {
+      const year = Number(match[1] || match[2] || match[3]);
+      if (year !== facts.currentYear) {
+        issues.push(`States the current year as ${year}, but it is ${facts.currentYear}`);
+      }
+    }
+
+    if (facts.age !== null) {
+      const ageValue = '(\\d{1,3}|[a-z]+(?:[- ][a-z]+)?)';
+      const ageClaims = new RegExp(
+        `\\b(?:you are|you're|you have turned|you turned)\\s+${ageValue}\\s+years?\\s+old|\\byour (?:current )?age (?:is|of)\\s+${ageValue}`,
+        'gi'
+      );
+      while ((match = ageClaims.exec(text)) !== null) {
+        const age = this.parseAge(match[1] || match[2]);
+        if (age !== null && age !== facts.age) {
+          issues.push(`States the user's age as ${age}, but they are ${facts.age}`);
+        }
+      }
+    }
+
+    if (/\b(?:don't|do not|cannot|can't)\s+(?:actually\s+)?(?:have|know|access)\b[^.]*\b(?:current|today's)\s+(?:date|year)/i.test(text)) {
+      issues.push('Claims not to know the current date, which was provided');
+    }
+
+    return issues;
+  }
+
+  parseAge(value) {
+    if (/^\d+$/.test(value)) return Number(value);
+
+    const [tens, units] = value.toLowerCase().split(/[- ]/);
+    if (!NUMBER_WORDS[tens]) return null;
+
+    const unitValue = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'].indexOf(units) + 1;
+    return NUMBER_WORDS[tens] + unitValue;
+  }
+}
+
+module.exports = new ResponseValidator();
@@ -0,0 +1,67 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Stateless session tokens: base64url(JSON claims) + "." + HMAC-SHA256 of
+// that part with SESSION_SECRET. Claims always include `exp` (seconds).
+class TokenService {
+  constructor() {
+    this.secret = process.env.SESSION_SECRET;
+
+    if (!this.secret) {
+      // Tokens from a random secret stop working when the process restarts
+      console.warn('⚠️ SESSION_SECRET not set - using a random secret, sessions will not survive a restart');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  signature(encoded) {
+    return crypto.createHmac('sha256', this.secret).update(encoded).digest('base64url');
+  }
+
+  // ✅ Token for `claims`, valid for ttlMs
+  sign(claims, ttlMs = DEFAULT_TTL_MS) {
+    const now = Date.now();
+    const payload = {
+      ...claims,
+      iat: Math.floor(now / 1000),
+      exp: Math.floor((now + ttlMs) / 1000)
+    };
+
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    return {
+      token: `${encoded}.${this.signature(encoded)}`,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  // ✅ Claims of a valid token - null when missing, tampered with or expired
+  verify(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [encoded, signature, extra] = token.split('.');
+    if (!encoded || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this.signature(encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+
+    return claims;
+  }
+}
+
+module.exports = new TokenService();
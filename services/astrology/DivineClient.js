@@ -0,0 +1,266 @@
+// HTTP client for the Divine API, shared by every Divine request in the process.
+// - Calls run concurrently, each with its own timeout (DIVINE_TIMEOUT_MS, default 8s)
+// - 429/5xx, network errors and timeouts are retried with exponential backoff
+//   and jitter (DIVINE_MAX_RETRIES, default 2), honouring Retry-After
+// - A token bucket caps the request rate (DIVINE_RATE_PER_SEC, default 5,
+//   bursts of DIVINE_BURST, default 10); retries take tokens too
+// - After DIVINE_BREAKER_THRESHOLD (default 5) failed calls in a row the circuit
+//   opens and calls fail fast for DIVINE_BREAKER_COOLDOWN_MS (default 30s); one
+//   trial call then decides whether it closes again
+// - Latency and error counts are kept per endpoint for the health check
+
+require('dotenv').config();
+
+const fetch = require('node-fetch');
+
+const BASE_BACKOFF_MS = 300;
+const MAX_BACKOFF_MS = 5000;
+const LATENCY_SAMPLES = 100;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class DivineError extends Error {
+  constructor(message, { status = null, details = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'DivineError';
+    this.status = status;
+    this.details = details;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class TokenBucket {
+  constructor(ratePerSecond, capacity) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+    this.updatedAt = now;
+  }
+
+  // Resolves once a token is available
+  async take() {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000));
+    }
+  }
+}
+
+class CircuitBreaker {
+  constructor(threshold, cooldownMs) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  // ✅ Whether a call may go out now; half-open lets a single trial through
+  allow() {
+    const state = this.state;
+    if (state === 'closed') return true;
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  success() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  failure() {
+    this.failures++;
+    if (this.trialInFlight || this.failures >= this.threshold) {
+      if (this.state !== 'open') {
+        console.warn(`⚠️ Divine API circuit open for ${Math.round(this.cooldownMs / 1000)}s after ${this.failures} failures`);
+      }
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+}
+
+class DivineClient {
+  constructor({
+    baseUrl,
+    timeoutMs = parseInt(process.env.DIVINE_TIMEOUT_MS) || 8000,
+    maxRetries = process.env.DIVINE_MAX_RETRIES !== undefined ? parseInt(process.env.DIVINE_MAX_RETRIES) : 2,
+    ratePerSecond = parseFloat(process.env.DIVINE_RATE_PER_SEC) || 5,
+    burst = parseInt(process.env.DIVINE_BURST) || 10,
+    breakerThreshold = parseInt(process.env.DIVINE_BREAKER_THRESHOLD) || 5,
+    breakerCooldownMs = parseInt(process.env.DIVINE_BREAKER_COOLDOWN_MS) || 30000
+  }) {
+    this.baseUrl = baseUrl;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.limiter = new TokenBucket(ratePerSecond, burst);
+    this.breaker = new CircuitBreaker(breakerThreshold, breakerCooldownMs);
+    this.endpointMetrics = new Map();
+  }
+
+  metricsFor(endpoint) {
+    if (!this.endpointMetrics.has(endpoint)) {
+      this.endpointMetrics.set(endpoint, {
+        calls: 0,
+        successes: 0,
+        failures: 0,
+        retries: 0,
+        timeouts: 0,
+        rejected: 0,
+        latencies: [],
+        lastStatus: null,
+        lastError: null,
+        lastErrorAt: null
+      });
+    }
+    return this.endpointMetrics.get(endpoint);
+  }
+
+  // One HTTP attempt; throws DivineError marked retryable for 429/5xx, timeouts and network errors
+  async attempt(endpoint, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${process.env.DIVINE_AUTH_TOKEN}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body,
+        signal: controller.signal
+      });
+
+      if (response.ok) {
+        return { status: response.status, data: await response.json() };
+      }
+
+      const errorText = await response.text();
+      const retryAfter = parseFloat(response.headers && response.headers.get('retry-after'));
+      throw new DivineError(`API error: ${response.status} ${response.statusText}`, {
+        status: response.status,
+        details: errorText.length > 200 ? errorText.substring(0, 200) + '...' : errorText,
+        retryable: response.status === 429 || response.status >= 500,
+        retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+      });
+    } catch (error) {
+      if (error instanceof DivineError) throw error;
+      if (error.name === 'AbortError') {
+        throw new DivineError(`Timeout after ${this.timeoutMs}ms`, { retryable: true, status: 'timeout' });
+      }
+      throw new DivineError(`Network error: ${error.message}`, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  backoff(retry, error) {
+    const exponential = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** retry);
+    const jittered = exponential / 2 + Math.random() * (exponential / 2);
+    return Math.min(MAX_BACKOFF_MS, Math.max(jittered, error.retryAfterMs || 0));
+  }
+
+  // ✅ POST one endpoint with rate limiting, retries and the circuit breaker; resolves to the JSON body
+  async post(endpoint, body) {
+    const metrics = this.metricsFor(endpoint);
+    metrics.calls++;
+
+    for (let retry = 0; ; retry++) {
+      if (!this.breaker.allow()) {
+        metrics.rejected++;
+        metrics.failures++;
+        throw new DivineError('Divine API circuit open - skipping call', { status: 'circuit-open' });
+      }
+
+      await this.limiter.take();
+      const startedAt = Date.now();
+
+      try {
+        const { status, data } = await this.attempt(endpoint, body);
+        this.record(metrics, Date.now() - startedAt);
+        this.breaker.success();
+        metrics.successes++;
+        metrics.lastStatus = status;
+        return data;
+
+      } catch (error) {
+        this.record(metrics, Date.now() - startedAt);
+        metrics.lastStatus = error.status;
+        metrics.lastError = error.message;
+        metrics.lastErrorAt = new Date().toISOString();
+        if (error.status === 'timeout') metrics.timeouts++;
+
+        // 4xx other than 429 are the request's fault, not an outage
+        if (error.retryable) this.breaker.failure();
+        else this.breaker.success();
+
+        if (!error.retryable || retry >= this.maxRetries) {
+          metrics.failures++;
+          throw error;
+        }
+
+        metrics.retries++;
+        const delayMs = this.backoff(retry, error);
+        console.warn(`⚠️ Divine ${endpoint} failed (${error.message}) - retry ${retry + 1}/${this.maxRetries} in ${Math.round(delayMs)}ms`);
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  record(metrics, latencyMs) {
+    metrics.latencies.push(latencyMs);
+    if (metrics.latencies.length > LATENCY_SAMPLES) metrics.latencies.shift();
+  }
+
+  // ✅ Breaker state plus per-endpoint call counts and latency (last 100 attempts)
+  stats() {
+    const percentile = (sorted, p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : null;
+    const endpoints = {};
+
+    this.endpointMetrics.forEach((metrics, endpoint) => {
+      const sorted = [...metrics.latencies].sort((a, b) => a - b);
+      const { latencies, ...counts } = metrics;
+      endpoints[endpoint] = {
+        ...counts,
+        errorRate: metrics.calls ? Number((metrics.failures / metrics.calls).toFixed(3)) : 0,
+        latencyMs: {
+          avg: sorted.length ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+          p50: percentile(sorted, 0.5),
+          p95: percentile(sorted, 0.95),
+          max: sorted.length ? sorted[sorted.length - 1] : null
+        }
+      };
+    });
+
+    return {
+      circuit: this.breaker.state,
+      consecutiveFailures: this.breaker.failures,
+      tokensAvailable: Math.floor(this.limiter.tokens),
+      endpoints
+    };
+  }
+}
+
+module.exports = DivineClient;
+module.exports.DivineError = DivineError;
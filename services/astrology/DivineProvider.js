@@ -0,0 +1,81 @@
+// Divine API provider (astroapi-3.divineapi.com)
+
+require('dotenv').config();
+
+const DivineClient = require('./DivineClient');
+const debugLog = require('../debugLog');
+
+class DivineProvider {
+  constructor() {
+    this.name = 'divine';
+    this.baseUrl = 'https://astroapi-3.divineapi.com/indian-api/v1';
+    this.client = new DivineClient({ baseUrl: this.baseUrl });
+  }
+
+  isConfigured() {
+    return !!process.env.DIVINE_API_KEY && !!process.env.DIVINE_AUTH_TOKEN;
+  }
+
+  // Any endpoint of the Indian API can be requested
+  supports() {
+    return true;
+  }
+
+  // `language` is the Divine `lan` code
+  buildForm(birthData, language = 'en') {
+    const formData = new URLSearchParams();
+    formData.append('api_key', process.env.DIVINE_API_KEY);
+    formData.append('full_name', birthData.fullName);
+    formData.append('day', birthData.day.toString());
+    formData.append('month', birthData.month.toString());
+    formData.append('year', birthData.year.toString());
+    formData.append('hour', birthData.hour.toString());
+    formData.append('min', birthData.minute.toString());
+    formData.append('sec', '0');
+    formData.append('gender', birthData.gender || 'male');
+    formData.append('place', birthData.birthPlace);
+    formData.append('lat', birthData.latitude.toString());
+    formData.append('lon', birthData.longitude.toString());
+    formData.append('tzone', (birthData.timezoneOffset === undefined ? 5.5 : birthData.timezoneOffset).toString());
+    formData.append('lan', language);
+    return formData;
+  }
+
+  // Endpoints are requested concurrently; DivineClient handles timeouts, retries and rate limits
+  async fetch(birthData, endpoints, { language = 'en' } = {}) {
+    debugLog('divine_api', 'Fetching astrology data', {
+      endpoints,
+      language,
+      birthData: { name: birthData.fullName, gender: birthData.gender },
+      baseUrl: this.baseUrl,
+      authToken: process.env.DIVINE_AUTH_TOKEN ? 'configured' : 'missing',
+      apiKey: process.env.DIVINE_API_KEY ? 'configured' : 'missing'
+    });
+
+    const body = this.buildForm(birthData, language).toString();
+    const responses = await Promise.all(endpoints.map(endpoint => this.fetchEndpoint(endpoint, body)));
+
+    return Object.fromEntries(endpoints.map((endpoint, index) => [endpoint, responses[index]]));
+  }
+
+  async fetchEndpoint(endpoint, body) {
+    try {
+      const data = await this.client.post(endpoint, body);
+      debugLog('divine_api', `Success for ${endpoint}`, {
+        success: data.success,
+        hasData: !!data.data,
+        dataKeys: data.data ? Object.keys(data.data) : []
+      });
+      return data;
+
+    } catch (error) {
+      console.error(`Divine API error for ${endpoint}:`, error.message);
+
+      return typeof error.status === 'number'
+        ? { error: true, status: error.status, message: error.message, details: error.details }
+        : { error: true, message: error.message, fallback: true };
+    }
+  }
+}
+
+module.exports = DivineProvider;
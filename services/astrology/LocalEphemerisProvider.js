@@ -0,0 +1,168 @@
+// Offline provider: computes the chart locally with the bundled ephemeris.
+// Responses mirror the Divine API shapes ({ success, data }) so the rest of
+// the app doesn't care which provider answered.
+
+const ephemeris = require('./ephemeris');
+const { divisionalChart } = require('./vargas');
+const { findYogas } = require('./yogas');
+const { currentTransits, sadeSati } = require('./transits');
+const { manglikStatus } = require('./matching');
+
+const TITHIS = [
+  'Pratipada', 'Dwitiya', 'Tritiya', 'Chaturthi', 'Panchami', 'Shashthi', 'Saptami', 'Ashtami',
+  'Navami', 'Dashami', 'Ekadashi', 'Dwadashi', 'Trayodashi', 'Chaturdashi'
+];
+
+const YOGAS = [
+  'Vishkambha', 'Priti', 'Ayushman', 'Saubhagya', 'Shobhana', 'Atiganda', 'Sukarma', 'Dhriti',
+  'Shoola', 'Ganda', 'Vriddhi', 'Dhruva', 'Vyaghata', 'Harshana', 'Vajra', 'Siddhi', 'Vyatipata',
+  'Variyana', 'Parigha', 'Shiva', 'Siddha', 'Sadhya', 'Shubha', 'Shukla', 'Brahma', 'Indra', 'Vaidhriti'
+];
+
+const round = (value, places = 4) => Number(value.toFixed(places));
+
+// Local civil birth time -> UTC instant using the stored offset (hours)
+function birthInstant(birthData) {
+  const offset = birthData.timezoneOffset === undefined ? 5.5 : birthData.timezoneOffset;
+  const localMs = Date.UTC(birthData.year, birthData.month - 1, birthData.day, birthData.hour, birthData.minute);
+  return new Date(localMs - offset * 3600000);
+}
+
+// Chandra lagna chart for an unknown birth time: the Moon's sign stands in for
+// the ascendant and houses are counted from it
+function asMoonChart(chart) {
+  const moon = chart.planets.find(planet => planet.name === 'Moon');
+  return {
+    ...chart,
+    basis: 'moon',
+    ascendant: { longitude: moon.longitude, sign: moon.sign, nakshatra: moon.nakshatra },
+    planets: chart.planets.map(planet => ({ ...planet, house: ((planet.sign.index - moon.sign.index + 12) % 12) + 1 }))
+  };
+}
+
+class LocalEphemerisProvider {
+  constructor() {
+    this.name = 'local';
+    this.handlers = {
+      'planetary-positions': chart => this.planetaryPositions(chart),
+      'basic-astro-details': (chart, birthData) => this.basicAstroDetails(chart, birthData),
+      navamsa: chart => divisionalChart(chart, 'D9'),
+      dasamsa: chart => divisionalChart(chart, 'D10'),
+      yogas: chart => ({ yogas: findYogas(chart) }),
+      manglik: chart => manglikStatus(chart),
+      transits: (chart, birthData) => currentTransits(chart, this.transitChart(birthData)),
+      'sade-sati': (chart, birthData) => sadeSati(chart, this.transitChart(birthData))
+    };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supports(endpoint) {
+    return !!this.handlers[endpoint];
+  }
+
+  computeChart(birthData) {
+    const chart = ephemeris.computeChart(birthInstant(birthData), birthData.latitude, birthData.longitude);
+    return birthData.chartBasis === 'moon' ? asMoonChart(chart) : { ...chart, basis: 'lagna' };
+  }
+
+  // Sky right now, at the birth place
+  transitChart(birthData) {
+    return ephemeris.computeChart(new Date(), birthData.latitude, birthData.longitude);
+  }
+
+  async fetch(birthData, endpoints) {
+    const results = {};
+    if (endpoints.length === 0) return results;
+
+    const chart = this.computeChart(birthData);
+
+    endpoints.forEach(endpoint => {
+      if (!this.supports(endpoint)) {
+        results[endpoint] = { error: true, provider: this.name, message: `${endpoint} is not available offline` };
+        return;
+      }
+
+      try {
+        results[endpoint] = { success: 1, provider: this.name, data: this.handlers[endpoint](chart, birthData) };
+      } catch (error) {
+        console.error(`Error computing ${endpoint}:`, error.message);
+        results[endpoint] = { error: true, provider: this.name, message: error.message };
+      }
+    });
+
+    return results;
+  }
+
+  planetaryPositions(chart) {
+    const ascendant = {
+      name: 'Ascendant',
+      is_chandra_lagna: chart.basis === 'moon',
+      full_degree: round(chart.ascendant.longitude),
+      norm_degree: round(chart.ascendant.sign.degree),
+      speed: 0,
+      is_retro: 'false',
+      sign: chart.ascendant.sign.name,
+      sign_no: chart.ascendant.sign.number,
+      sign_lord: chart.ascendant.sign.lord,
+      nakshatra: chart.ascendant.nakshatra.name,
+      nakshatra_no: chart.ascendant.nakshatra.number,
+      nakshatra_pada: chart.ascendant.nakshatra.pada,
+      nakshatra_lord: chart.ascendant.nakshatra.lord,
+      house: 1
+    };
+
+    const planets = chart.planets.map(planet => ({
+      name: planet.name,
+      full_degree: round(planet.longitude),
+      norm_degree: round(planet.sign.degree),
+      speed: round(planet.speed),
+      is_retro: String(planet.isRetrograde),
+      sign: planet.sign.name,
+      sign_no: planet.sign.number,
+      sign_lord: planet.sign.lord,
+      nakshatra: planet.nakshatra.name,
+      nakshatra_no: planet.nakshatra.number,
+      nakshatra_pada: planet.nakshatra.pada,
+      nakshatra_lord: planet.nakshatra.lord,
+      house: planet.house
+    }));
+
+    return { ayanamsa: round(chart.ayanamsa), basis: chart.basis, planets: [ascendant, ...planets] };
+  }
+
+  basicAstroDetails(chart, birthData) {
+    const sun = chart.planets.find(planet => planet.name === 'Sun');
+    const moon = chart.planets.find(planet => planet.name === 'Moon');
+
+    const elongation = ephemeris.normalize(moon.longitude - sun.longitude);
+    const tithiNumber = Math.floor(elongation / 12) + 1;
+    const yogaIndex = Math.floor(ephemeris.normalize(sun.longitude + moon.longitude) / ephemeris.NAKSHATRA_SPAN);
+
+    return {
+      full_name: birthData.fullName,
+      date: birthData.birthDate,
+      time: birthData.birthTime,
+      place: birthData.birthPlace,
+      ayanamsa_name: 'Lahiri',
+      ayanamsa: round(chart.ayanamsa),
+      lagna: chart.basis === 'moon' ? null : chart.ascendant.sign.name,
+      lagna_lord: chart.basis === 'moon' ? null : chart.ascendant.sign.lord,
+      chart_basis: chart.basis,
+      rasi: moon.sign.name,
+      rasi_lord: moon.sign.lord,
+      sun_sign: sun.sign.name,
+      nakshatra: moon.nakshatra.name,
+      nakshatra_lord: moon.nakshatra.lord,
+      nakshatra_pada: moon.nakshatra.pada,
+      tithi: tithiNumber === 15 ? 'Purnima' : tithiNumber === 30 ? 'Amavasya' : TITHIS[(tithiNumber - 1) % 15],
+      paksha: tithiNumber <= 15 ? 'Shukla' : 'Krishna',
+      yoga: YOGAS[yogaIndex]
+    };
+  }
+}
+
+module.exports = LocalEphemerisProvider;
+module.exports.birthInstant = birthInstant;
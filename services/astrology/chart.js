@@ -0,0 +1,92 @@
+// D1 (Rasi) chart layout from a `planetary-positions` response.
+// Works with both the Divine API and the offline provider; houses are whole
+// signs counted from the ascendant's sign.
+
+const { SIGNS, normalize } = require('./ephemeris');
+
+const ABBREVIATIONS = {
+  Sun: 'Su',
+  Moon: 'Mo',
+  Mars: 'Ma',
+  Mercury: 'Me',
+  Jupiter: 'Ju',
+  Venus: 'Ve',
+  Saturn: 'Sa',
+  Rahu: 'Ra',
+  Ketu: 'Ke'
+};
+
+// Divine returns `data.planets`, some endpoints return `data` as the list itself
+function planetList(response) {
+  const data = response && response.data;
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.planets)) return data.planets;
+  if (data && typeof data === 'object') return Object.values(data).filter(item => item && item.name);
+  return [];
+}
+
+function signNumber(planet) {
+  if (planet.sign_no) return Number(planet.sign_no);
+
+  const byName = SIGNS.findIndex(sign => sign.name.toLowerCase() === String(planet.sign || '').toLowerCase());
+  if (byName !== -1) return byName + 1;
+
+  return Math.floor(normalize(Number(planet.full_degree)) / 30) + 1;
+}
+
+function degreeInSign(planet) {
+  if (planet.norm_degree !== undefined) return Number(planet.norm_degree);
+  return normalize(Number(planet.full_degree)) % 30;
+}
+
+// ✅ House-by-house placements for rendering North/South Indian charts
+function buildD1Chart(planetaryPositions) {
+  const planets = planetList(planetaryPositions);
+  const ascendant = planets.find(planet => /^(ascendant|lagna)$/i.test(planet.name));
+
+  if (!ascendant) {
+    throw new Error('Planetary positions do not include the ascendant');
+  }
+
+  const lagnaSign = signNumber(ascendant);
+  const houses = Array.from({ length: 12 }, (_, index) => {
+    const sign = ((lagnaSign - 1 + index) % 12) + 1;
+    return {
+      house: index + 1,
+      sign,
+      signName: SIGNS[sign - 1].name,
+      signLord: SIGNS[sign - 1].lord,
+      planets: []
+    };
+  });
+
+  planets
+    .filter(planet => ABBREVIATIONS[planet.name])
+    .forEach(planet => {
+      const sign = signNumber(planet);
+      const house = ((sign - lagnaSign + 12) % 12) + 1;
+      houses[house - 1].planets.push({
+        name: planet.name,
+        abbr: ABBREVIATIONS[planet.name],
+        degree: Number(degreeInSign(planet).toFixed(2)),
+        sign,
+        nakshatra: planet.nakshatra || null,
+        isRetrograde: String(planet.is_retro) === 'true'
+      });
+    });
+
+  return {
+    chart: 'D1',
+    // 'moon' when the birth time is unknown and houses count from the Moon
+    basis: ascendant.is_chandra_lagna ? 'moon' : 'lagna',
+    ascendant: {
+      sign: lagnaSign,
+      signName: SIGNS[lagnaSign - 1].name,
+      degree: Number(degreeInSign(ascendant).toFixed(2)),
+      nakshatra: ascendant.nakshatra || null
+    },
+    houses
+  };
+}
+
+module.exports = { buildD1Chart };
@@ -0,0 +1,141 @@
+// Vimshottari dasha periods from the Moon's sidereal longitude at birth.
+// 120-year cycle; each period is subdivided in the same lord order starting
+// from its own lord, proportionally to the lords' years.
+
+const { nakshatraOf, NAKSHATRA_SPAN } = require('./ephemeris');
+
+const DASHA_ORDER = [
+  { lord: 'Ketu', years: 7 },
+  { lord: 'Venus', years: 20 },
+  { lord: 'Sun', years: 6 },
+  { lord: 'Moon', years: 10 },
+  { lord: 'Mars', years: 7 },
+  { lord: 'Rahu', years: 18 },
+  { lord: 'Jupiter', years: 16 },
+  { lord: 'Saturn', years: 19 },
+  { lord: 'Mercury', years: 17 }
+];
+
+const CYCLE_YEARS = 120;
+const YEAR_MS = 365.25 * 86400000;
+const LEVELS = ['mahadasha', 'antardasha', 'pratyantardasha'];
+
+// Lords in order, starting from `lord`
+function sequenceFrom(lord) {
+  const start = DASHA_ORDER.findIndex(entry => entry.lord === lord);
+  return DASHA_ORDER.map((_, offset) => DASHA_ORDER[(start + offset) % DASHA_ORDER.length]);
+}
+
+function subdivide(parent, depth, levels, now) {
+  let cursor = parent.startMs;
+
+  return sequenceFrom(parent.lord).map(({ lord, years }) => {
+    const durationMs = (parent.endMs - parent.startMs) * years / CYCLE_YEARS;
+    const period = buildPeriod(lord, cursor, cursor + durationMs, depth, levels, now);
+    cursor += durationMs;
+    return period;
+  });
+}
+
+function buildPeriod(lord, startMs, endMs, depth, levels, now) {
+  const period = {
+    level: LEVELS[depth],
+    lord,
+    start: new Date(startMs).toISOString(),
+    end: new Date(endMs).toISOString(),
+    years: Number(((endMs - startMs) / YEAR_MS).toFixed(4)),
+    isCurrent: now >= startMs && now < endMs,
+    startMs,
+    endMs
+  };
+
+  if (depth + 1 < levels) {
+    period[`${LEVELS[depth + 1]}s`] = subdivide(period, depth + 1, levels, now);
+  }
+
+  return period;
+}
+
+// Drop the millisecond helpers before handing periods out
+function strip(period) {
+  const { startMs, endMs, ...rest } = period;
+  LEVELS.forEach(level => {
+    if (rest[`${level}s`]) rest[`${level}s`] = rest[`${level}s`].map(strip);
+  });
+  return rest;
+}
+
+// ✅ Full timeline (up to three levels) from birth through one complete cycle
+function vimshottariTimeline(moonLongitude, birthDate, { levels = 3, now = new Date() } = {}) {
+  const nakshatra = nakshatraOf(moonLongitude);
+  const traversed = (moonLongitude % NAKSHATRA_SPAN) / NAKSHATRA_SPAN;
+  const first = sequenceFrom(nakshatra.lord)[0];
+
+  // The first mahadasha began before birth by the share of the nakshatra already crossed
+  let cursor = birthDate.getTime() - traversed * first.years * YEAR_MS;
+  const nowMs = now.getTime();
+
+  const mahadashas = sequenceFrom(nakshatra.lord).map(({ lord, years }) => {
+    const period = buildPeriod(lord, cursor, cursor + years * YEAR_MS, 0, Math.min(levels, LEVELS.length), nowMs);
+    cursor = period.endMs;
+    return period;
+  });
+
+  const current = {};
+  let level = mahadashas;
+  LEVELS.forEach(name => {
+    const active = (level || []).find(period => period.isCurrent);
+    if (active) {
+      current[name] = { lord: active.lord, start: active.start, end: active.end };
+      level = active[`${LEVELS[LEVELS.indexOf(name) + 1]}s`];
+    } else {
+      level = null;
+    }
+  });
+
+  return {
+    system: 'vimshottari',
+    moon: {
+      longitude: Number(moonLongitude.toFixed(4)),
+      nakshatra: nakshatra.name,
+      nakshatraLord: nakshatra.lord,
+      pada: nakshatra.pada
+    },
+    balanceAtBirth: {
+      lord: first.lord,
+      years: Number(((1 - traversed) * first.years).toFixed(4))
+    },
+    current,
+    mahadashas: mahadashas.map(strip)
+  };
+}
+
+const formatDate = iso => iso.substring(0, 10);
+
+// ✅ Short text for prompts: running periods plus the next few antardashas
+function summarizeDasha(timeline, { upcoming = 3 } = {}) {
+  const { mahadasha, antardasha, pratyantardasha } = timeline.current;
+  if (!mahadasha) return 'Vimshottari dasha: outside the computed 120-year cycle.';
+
+  const lines = [
+    `- Mahadasha: ${mahadasha.lord} (${formatDate(mahadasha.start)} to ${formatDate(mahadasha.end)})`
+  ];
+  if (antardasha) {
+    lines.push(`- Antardasha: ${antardasha.lord} (${formatDate(antardasha.start)} to ${formatDate(antardasha.end)})`);
+  }
+  if (pratyantardasha) {
+    lines.push(`- Pratyantardasha: ${pratyantardasha.lord} (${formatDate(pratyantardasha.start)} to ${formatDate(pratyantardasha.end)})`);
+  }
+
+  const next = timeline.mahadashas
+    .flatMap(period => (period.antardashas || []).map(sub => ({ ...sub, mahadasha: period.lord })))
+    .filter(sub => sub.start > (antardasha ? antardasha.start : mahadasha.start))
+    .slice(0, upcoming)
+    .map(sub => `${sub.mahadasha}-${sub.lord} from ${formatDate(sub.start)}`);
+
+  if (next.length > 0) lines.push(`- Upcoming antardashas: ${next.join('; ')}`);
+
+  return lines.join('\n');
+}
+
+module.exports = { DASHA_ORDER, vimshottariTimeline, summarizeDasha };
@@ -0,0 +1,266 @@
+// Low-precision geocentric ephemeris for offline charts.
+// Orbital elements and perturbation terms follow Paul Schlyter's
+// "How to compute planetary positions" (about 1-2 arcminutes for the planets
+// and a few arcminutes for the Moon between 1900 and 2100), which is well
+// inside the precision a sign/nakshatra/house reading needs.
+// All longitudes are in degrees; sidereal values use the Lahiri ayanamsa.
+
+const RAD = Math.PI / 180;
+
+const SIGNS = [
+  { name: 'Aries', lord: 'Mars' },
+  { name: 'Taurus', lord: 'Venus' },
+  { name: 'Gemini', lord: 'Mercury' },
+  { name: 'Cancer', lord: 'Moon' },
+  { name: 'Leo', lord: 'Sun' },
+  { name: 'Virgo', lord: 'Mercury' },
+  { name: 'Libra', lord: 'Venus' },
+  { name: 'Scorpio', lord: 'Mars' },
+  { name: 'Sagittarius', lord: 'Jupiter' },
+  { name: 'Capricorn', lord: 'Saturn' },
+  { name: 'Aquarius', lord: 'Saturn' },
+  { name: 'Pisces', lord: 'Jupiter' }
+];
+
+const NAKSHATRA_LORDS = ['Ketu', 'Venus', 'Sun', 'Moon', 'Mars', 'Rahu', 'Jupiter', 'Saturn', 'Mercury'];
+
+const NAKSHATRAS = [
+  'Ashwini', 'Bharani', 'Krittika', 'Rohini', 'Mrigashira', 'Ardra', 'Punarvasu',
+  'Pushya', 'Ashlesha', 'Magha', 'Purva Phalguni', 'Uttara Phalguni', 'Hasta',
+  'Chitra', 'Swati', 'Vishakha', 'Anuradha', 'Jyeshtha', 'Mula', 'Purva Ashadha',
+  'Uttara Ashadha', 'Shravana', 'Dhanishta', 'Shatabhisha', 'Purva Bhadrapada',
+  'Uttara Bhadrapada', 'Revati'
+].map((name, index) => ({ name, lord: NAKSHATRA_LORDS[index % 9] }));
+
+const NAKSHATRA_SPAN = 360 / 27;
+
+const normalize = degrees => ((degrees % 360) + 360) % 360;
+const sin = degrees => Math.sin(degrees * RAD);
+const cos = degrees => Math.cos(degrees * RAD);
+const atan2 = (y, x) => Math.atan2(y, x) / RAD;
+
+// Days since 2000 Jan 0.0 UT (Schlyter's day number)
+function dayNumber(date) {
+  return date.getTime() / 86400000 + 2440587.5 - 2451543.5;
+}
+
+function orbitalElements(body, d) {
+  switch (body) {
+    case 'Sun':
+      return { N: 0, i: 0, w: 282.9404 + 4.70935e-5 * d, a: 1, e: 0.016709 - 1.151e-9 * d, M: 356.0470 + 0.9856002585 * d };
+    case 'Moon':
+      return { N: 125.1228 - 0.0529538083 * d, i: 5.1454, w: 318.0634 + 0.1643573223 * d, a: 60.2666, e: 0.054900, M: 115.3654 + 13.0649929509 * d };
+    case 'Mercury':
+      return { N: 48.3313 + 3.24587e-5 * d, i: 7.0047 + 5.00e-8 * d, w: 29.1241 + 1.01444e-5 * d, a: 0.387098, e: 0.205635 + 5.59e-10 * d, M: 168.6562 + 4.0923344368 * d };
+    case 'Venus':
+      return { N: 76.6799 + 2.46590e-5 * d, i: 3.3946 + 2.75e-8 * d, w: 54.8910 + 1.38374e-5 * d, a: 0.723330, e: 0.006773 - 1.302e-9 * d, M: 48.0052 + 1.6021302244 * d };
+    case 'Mars':
+      return { N: 49.5574 + 2.11081e-5 * d, i: 1.8497 - 1.78e-8 * d, w: 286.5016 + 2.92961e-5 * d, a: 1.523688, e: 0.093405 + 2.516e-9 * d, M: 18.6021 + 0.5240207766 * d };
+    case 'Jupiter':
+      return { N: 100.4542 + 2.76854e-5 * d, i: 1.3030 - 1.557e-7 * d, w: 273.8777 + 1.64505e-5 * d, a: 5.20256, e: 0.048498 + 4.469e-9 * d, M: 19.8950 + 0.0830853001 * d };
+    case 'Saturn':
+      return { N: 113.6634 + 2.38980e-5 * d, i: 2.4886 - 1.081e-7 * d, w: 339.3939 + 2.97661e-5 * d, a: 9.55475, e: 0.055546 - 9.499e-9 * d, M: 316.9670 + 0.0334442282 * d };
+    default:
+      throw new Error(`No orbital elements for ${body}`);
+  }
+}
+
+// Position in the orbital plane -> ecliptic longitude/latitude/distance
+function orbitPosition({ N, i, w, a, e, M }) {
+  const meanAnomaly = normalize(M);
+  let E = meanAnomaly + (e / RAD) * sin(meanAnomaly) * (1 + e * cos(meanAnomaly));
+  for (let step = 0; step < 10; step++) {
+    const next = E - (E - (e / RAD) * sin(E) - meanAnomaly) / (1 - e * cos(E));
+    if (Math.abs(next - E) < 1e-6) {
+      E = next;
+      break;
+    }
+    E = next;
+  }
+
+  const xv = a * (cos(E) - e);
+  const yv = a * Math.sqrt(1 - e * e) * sin(E);
+  const v = atan2(yv, xv);
+  const r = Math.sqrt(xv * xv + yv * yv);
+
+  const x = r * (cos(N) * cos(v + w) - sin(N) * sin(v + w) * cos(i));
+  const y = r * (sin(N) * cos(v + w) + cos(N) * sin(v + w) * cos(i));
+  const z = r * sin(v + w) * sin(i);
+
+  return {
+    longitude: normalize(atan2(y, x)),
+    latitude: atan2(z, Math.sqrt(x * x + y * y)),
+    distance: r
+  };
+}
+
+function sunPosition(d) {
+  const elements = orbitalElements('Sun', d);
+  const { longitude, distance } = orbitPosition(elements);
+  return { longitude, distance, meanLongitude: normalize(elements.M + elements.w) };
+}
+
+function moonLongitude(d) {
+  const moon = orbitalElements('Moon', d);
+  const sun = orbitalElements('Sun', d);
+  const { longitude } = orbitPosition(moon);
+
+  const Ms = sun.M;
+  const Mm = moon.M;
+  const Ls = sun.M + sun.w;
+  const Lm = moon.M + moon.w + moon.N;
+  const D = Lm - Ls;
+  const F = Lm - moon.N;
+
+  return normalize(longitude
+    - 1.274 * sin(Mm - 2 * D)
+    + 0.658 * sin(2 * D)
+    - 0.186 * sin(Ms)
+    - 0.059 * sin(2 * Mm - 2 * D)
+    - 0.057 * sin(Mm - 2 * D + Ms)
+    + 0.053 * sin(Mm + 2 * D)
+    + 0.046 * sin(2 * D - Ms)
+    + 0.041 * sin(Mm - Ms)
+    - 0.035 * sin(D)
+    - 0.031 * sin(Mm + Ms)
+    - 0.015 * sin(2 * F - 2 * D)
+    + 0.011 * sin(Mm - 4 * D));
+}
+
+// Jupiter/Saturn mutual perturbations on heliocentric longitude
+function giantPlanetCorrection(body, d) {
+  const Mj = orbitalElements('Jupiter', d).M;
+  const Ms = orbitalElements('Saturn', d).M;
+
+  if (body === 'Jupiter') {
+    return -0.332 * sin(2 * Mj - 5 * Ms - 67.6)
+      - 0.056 * sin(2 * Mj - 2 * Ms + 21)
+      + 0.042 * sin(3 * Mj - 5 * Ms + 21)
+      - 0.036 * sin(Mj - 2 * Ms)
+      + 0.022 * cos(Mj - Ms)
+      + 0.023 * sin(2 * Mj - 3 * Ms + 52)
+      - 0.016 * sin(Mj - 5 * Ms - 69);
+  }
+  if (body === 'Saturn') {
+    return 0.812 * sin(2 * Mj - 5 * Ms - 67.6)
+      - 0.229 * cos(2 * Mj - 4 * Ms - 2)
+      + 0.119 * sin(Mj - 2 * Ms - 3)
+      + 0.046 * sin(2 * Mj - 6 * Ms - 69)
+      + 0.014 * sin(Mj - 3 * Ms + 32);
+  }
+  return 0;
+}
+
+function planetLongitude(body, d) {
+  const helio = orbitPosition(orbitalElements(body, d));
+  const longitude = helio.longitude + giantPlanetCorrection(body, d);
+
+  const xh = helio.distance * cos(longitude) * cos(helio.latitude);
+  const yh = helio.distance * sin(longitude) * cos(helio.latitude);
+
+  const sun = sunPosition(d);
+  const xg = xh + sun.distance * cos(sun.longitude);
+  const yg = yh + sun.distance * sin(sun.longitude);
+
+  return normalize(atan2(yg, xg));
+}
+
+// Tropical longitude (equinox of date) of a graha
+function tropicalLongitude(body, d) {
+  switch (body) {
+    case 'Sun': return sunPosition(d).longitude;
+    case 'Moon': return moonLongitude(d);
+    case 'Rahu': return normalize(orbitalElements('Moon', d).N); // mean lunar node
+    case 'Ketu': return normalize(orbitalElements('Moon', d).N + 180);
+    default: return planetLongitude(body, d);
+  }
+}
+
+// Lahiri (Chitrapaksha) ayanamsa
+function lahiriAyanamsa(d) {
+  const T = d / 36525;
+  return 23.85306 + 1.39722 * T + 0.00018 * T * T;
+}
+
+function obliquity(d) {
+  return 23.4393 - 3.563e-7 * d;
+}
+
+// Sidereal ascendant for a UTC instant and place (east longitude positive)
+function ascendant(d, latitude, longitude) {
+  const ut = (d - Math.floor(d)) * 24;
+  const gmst = sunPosition(d).meanLongitude + 180 + ut * 15;
+  const lst = normalize(gmst + longitude);
+  const ecl = obliquity(d);
+
+  const tropical = normalize(atan2(cos(lst), -(sin(lst) * cos(ecl) + Math.tan(latitude * RAD) * sin(ecl))));
+  return normalize(tropical - lahiriAyanamsa(d));
+}
+
+function siderealLongitude(body, d) {
+  return normalize(tropicalLongitude(body, d) - lahiriAyanamsa(d));
+}
+
+function signOf(longitude) {
+  const index = Math.floor(normalize(longitude) / 30);
+  return { index, number: index + 1, ...SIGNS[index], degree: normalize(longitude) - index * 30 };
+}
+
+function nakshatraOf(longitude) {
+  const position = normalize(longitude) / NAKSHATRA_SPAN;
+  const index = Math.floor(position);
+  return {
+    index,
+    number: index + 1,
+    ...NAKSHATRAS[index],
+    pada: Math.floor((position - index) * 4) + 1
+  };
+}
+
+const GRAHAS = ['Sun', 'Moon', 'Mars', 'Mercury', 'Jupiter', 'Venus', 'Saturn', 'Rahu', 'Ketu'];
+
+// ✅ Full sidereal snapshot: ascendant plus the nine grahas with speed/retrogression
+function computeChart(date, latitude, longitude) {
+  const d = dayNumber(date);
+  const lagna = ascendant(d, latitude, longitude);
+  const lagnaSign = signOf(lagna).index;
+
+  const planets = GRAHAS.map(name => {
+    const lon = siderealLongitude(name, d);
+    const before = siderealLongitude(name, d - 0.5);
+    const after = siderealLongitude(name, d + 0.5);
+    const speed = ((after - before + 540) % 360) - 180; // degrees per day
+
+    return {
+      name,
+      longitude: lon,
+      speed,
+      isRetrograde: name === 'Rahu' || name === 'Ketu' ? true : speed < 0,
+      sign: signOf(lon),
+      nakshatra: nakshatraOf(lon),
+      house: ((signOf(lon).index - lagnaSign + 12) % 12) + 1 // whole-sign houses
+    };
+  });
+
+  return {
+    dayNumber: d,
+    ayanamsa: lahiriAyanamsa(d),
+    ascendant: { longitude: lagna, sign: signOf(lagna), nakshatra: nakshatraOf(lagna) },
+    planets
+  };
+}
+
+module.exports = {
+  SIGNS,
+  NAKSHATRAS,
+  NAKSHATRA_SPAN,
+  GRAHAS,
+  normalize,
+  dayNumber,
+  lahiriAyanamsa,
+  siderealLongitude,
+  ascendant,
+  signOf,
+  nakshatraOf,
+  computeChart
+};
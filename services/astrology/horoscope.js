@@ -0,0 +1,263 @@
+// Daily, weekly and monthly horoscopes from gochar - transits counted from
+// the natal Moon sign. The sign forecast depends only on the Moon sign and
+// the period, so every profile born under that rashi shares it; the personal
+// overlay adds transits counted from the lagna, the running dasha and sade
+// sati. Periods follow the Indian calendar day (IST), weeks start on Monday.
+
+const { SIGNS, dayNumber, siderealLongitude } = require('./ephemeris');
+
+const DAY_MS = 86400000;
+const IST_OFFSET_MS = 5.5 * 3600000;
+
+const PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Houses from the natal Moon where a planet's transit does well (Phaladeepika)
+const FAVOURABLE_HOUSES = {
+  Sun: [3, 6, 10, 11],
+  Moon: [1, 3, 6, 7, 10, 11],
+  Mars: [3, 6, 11],
+  Mercury: [2, 4, 6, 8, 10, 11],
+  Jupiter: [2, 5, 7, 9, 11],
+  Venus: [1, 2, 3, 4, 5, 8, 9, 11, 12],
+  Saturn: [3, 6, 11],
+  Rahu: [3, 6, 11],
+  Ketu: [3, 6, 11]
+};
+
+// A transit counts for a topic when it is in one of its houses or the planet signifies it
+const TOPICS = {
+  love: { houses: [5, 7], karakas: ['Venus', 'Moon'] },
+  career: { houses: [10, 6], karakas: ['Sun', 'Saturn', 'Mercury'] },
+  money: { houses: [2, 11], karakas: ['Jupiter', 'Venus', 'Mercury'] },
+  health: { houses: [1, 6, 8], karakas: ['Sun', 'Moon', 'Mars'] }
+};
+
+// The Moon sets the tone of a day, the slow planets that of a month. Over a
+// week or a month the Moon's sign changes every two days or so, so it gives
+// the good and caution days instead.
+const PERIOD_WEIGHTS = {
+  daily: { Moon: 3, Sun: 1, Mars: 1, Mercury: 1, Venus: 1, Jupiter: 1, Saturn: 1, Rahu: 0.5, Ketu: 0.5 },
+  weekly: { Sun: 1, Mars: 1.5, Mercury: 1.5, Venus: 1.5, Jupiter: 1, Saturn: 1, Rahu: 0.5, Ketu: 0.5 },
+  monthly: { Sun: 1.5, Mars: 1, Mercury: 1, Venus: 1, Jupiter: 2, Saturn: 2, Rahu: 1, Ketu: 1 }
+};
+
+// Points for the personal overlay
+const DASHA_WEIGHTS = { mahadasha: 1, antardasha: 1.5 };
+const SADE_SATI_WEIGHT = 1;
+
+const countFrom = (from, to) => ((to - from + 12) % 12) + 1;
+const ordinal = n => `${n}${n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th'}`;
+const isoDate = ms => new Date(ms).toISOString().substring(0, 10);
+
+// 1-5 from a balance between -1 (all challenging) and 1 (all favourable)
+const ratingOf = balance => Math.max(1, Math.min(5, Math.round(3 + 2 * balance)));
+
+// ✅ Calendar dates a period covers around `now`, and when its forecast goes stale
+function periodRange(period, now = new Date()) {
+  if (!PERIODS.includes(period)) throw new Error(`Unknown horoscope period "${period}"`);
+
+  // The IST calendar day, as a UTC midnight
+  const today = Date.parse(`${isoDate(now.getTime() + IST_OFFSET_MS)}T00:00:00Z`);
+  const date = new Date(today);
+  let start = today;
+  let days = 1;
+
+  if (period === 'weekly') {
+    start = today - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    days = 7;
+  } else if (period === 'monthly') {
+    start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    days = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  }
+
+  return {
+    period,
+    start: isoDate(start),
+    end: isoDate(start + (days - 1) * DAY_MS),
+    days,
+    expiresAt: start + days * DAY_MS - IST_OFFSET_MS
+  };
+}
+
+// Noon IST on the period's nth day
+function dayInstant(range, index) {
+  return new Date(Date.parse(`${range.start}T12:00:00Z`) + index * DAY_MS - IST_OFFSET_MS);
+}
+
+const signIndexAt = (name, date) => Math.floor(siderealLongitude(name, dayNumber(date)) / 30);
+
+// Good days (Moon in a favourable house from the natal Moon) and caution days
+// (chandrashtama - the Moon in the 8th)
+function moonDays(moonSignIndex, range) {
+  const days = { favourable: [], caution: [] };
+  for (let index = 0; index < range.days; index++) {
+    const instant = dayInstant(range, index);
+    const house = countFrom(moonSignIndex, signIndexAt('Moon', instant));
+    const date = isoDate(instant.getTime() + IST_OFFSET_MS);
+    if (house === 8) days.caution.push(date);
+    else if (FAVOURABLE_HOUSES.Moon.includes(house)) days.favourable.push(date);
+  }
+  return days;
+}
+
+// Planets other than the Moon changing sign during the period
+function ingresses(moonSignIndex, range) {
+  const changes = [];
+  Object.keys(FAVOURABLE_HOUSES).filter(name => name !== 'Moon').forEach(name => {
+    let previous = signIndexAt(name, dayInstant(range, 0));
+    for (let index = 1; index < range.days; index++) {
+      const instant = dayInstant(range, index);
+      const signIndex = signIndexAt(name, instant);
+      if (signIndex !== previous) {
+        const house = countFrom(moonSignIndex, signIndex);
+        changes.push({
+          name,
+          date: isoDate(instant.getTime() + IST_OFFSET_MS),
+          signName: SIGNS[signIndex].name,
+          houseFromMoon: house,
+          favourable: FAVOURABLE_HOUSES[name].includes(house)
+        });
+      }
+      previous = signIndex;
+    }
+  });
+  return changes.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Topic scores from transits counted from a reference sign ('from the Moon',
+// 'from your lagna'); `byKaraka` also counts planets that signify the topic
+// wherever they are
+function scoreTopics(transits, houseKey, weights, { reference, byKaraka }) {
+  const scores = {};
+  Object.entries(TOPICS).forEach(([topic, { houses, karakas }]) => {
+    const result = { score: 0, max: 0, factors: [] };
+    transits.forEach(transit => {
+      const house = transit[houseKey];
+      const relevance = (houses.includes(house) ? 1 : 0) + (byKaraka && karakas.includes(transit.name) ? 1 : 0);
+      if (!relevance) return;
+
+      const favourable = FAVOURABLE_HOUSES[transit.name].includes(house);
+      const weight = weights[transit.name] * relevance;
+      result.score += favourable ? weight : -weight;
+      result.max += weight;
+      result.factors.push(`${transit.name} in the ${ordinal(house)} ${reference} (${favourable ? 'favourable' : 'challenging'})`);
+    });
+    scores[topic] = result;
+  });
+  return scores;
+}
+
+// ✅ Forecast for everyone with this Moon sign (0-11) over a period
+function signForecast(moonSignIndex, period, now = new Date()) {
+  const range = periodRange(period, now);
+  const weights = PERIOD_WEIGHTS[period];
+  const middle = dayInstant(range, Math.floor(range.days / 2));
+
+  const transits = Object.keys(weights).map(name => {
+    const signIndex = signIndexAt(name, middle);
+    const house = countFrom(moonSignIndex, signIndex);
+    return {
+      name,
+      signIndex,
+      signName: SIGNS[signIndex].name,
+      houseFromMoon: house,
+      favourable: FAVOURABLE_HOUSES[name].includes(house)
+    };
+  });
+
+  const scores = scoreTopics(transits, 'houseFromMoon', weights, { reference: 'from the Moon', byKaraka: true });
+  const topics = {};
+  Object.entries(scores).forEach(([topic, { score, max, factors }]) => {
+    topics[topic] = { rating: ratingOf(max ? score / max : 0), score, max, factors };
+  });
+
+  return {
+    ...range,
+    moonSign: SIGNS[moonSignIndex].name,
+    transits,
+    topics,
+    moonDays: period === 'daily' ? null : moonDays(moonSignIndex, range),
+    chandrashtama: period === 'daily' && transits.find(transit => transit.name === 'Moon').houseFromMoon === 8,
+    ingresses: period === 'daily' ? [] : ingresses(moonSignIndex, range)
+  };
+}
+
+// Planets that rule or occupy a natal house counted from the lagna
+function houseSignificators(natalChart, house) {
+  const signIndex = (natalChart.ascendant.sign.index + house - 1) % 12;
+  return [
+    SIGNS[signIndex].lord,
+    ...natalChart.planets.filter(planet => planet.sign.index === signIndex).map(planet => planet.name)
+  ];
+}
+
+// ✅ Personal overlay on a sign forecast: transits from the lagna (not for
+// Moon charts, whose houses already count from the Moon), the dasha lords
+// tied to each topic's houses and sade sati. Returns adjusted topic ratings
+// and the notes behind them.
+function personalOverlay(natalChart, forecast, { dasha = {}, sadeSati = null } = {}) {
+  const lagnaIndex = natalChart.ascendant.sign.index;
+  const usesLagna = natalChart.basis !== 'moon';
+  const weights = PERIOD_WEIGHTS[forecast.period];
+
+  const transits = forecast.transits.map(transit => ({ ...transit, houseFromLagna: countFrom(lagnaIndex, transit.signIndex) }));
+  const lagnaScores = usesLagna
+    ? scoreTopics(transits, 'houseFromLagna', weights, { reference: 'from your lagna', byKaraka: false })
+    : {};
+
+  const topics = {};
+  Object.entries(forecast.topics).forEach(([topic, signTopic]) => {
+    let score = signTopic.score;
+    let max = signTopic.max;
+    const notes = [];
+
+    if (usesLagna) {
+      const fromLagna = lagnaScores[topic];
+      score += fromLagna.score;
+      max += fromLagna.max;
+      notes.push(...fromLagna.factors);
+    }
+
+    // A dasha lord ruling or occupying the topic's houses brings its matters forward
+    ['antardasha', 'mahadasha'].forEach(level => {
+      const lord = dasha[level];
+      const house = lord && TOPICS[topic].houses.find(h => houseSignificators(natalChart, h).includes(lord));
+      if (!house) return;
+      score += DASHA_WEIGHTS[level];
+      max += DASHA_WEIGHTS[level];
+      notes.push(`${lord} ${level} activates your ${ordinal(house)} house`);
+    });
+
+    if (sadeSati && sadeSati.active && (topic === 'health' || topic === 'career')) {
+      score -= SADE_SATI_WEIGHT;
+      max += SADE_SATI_WEIGHT;
+      notes.push(`Sade sati (${sadeSati.phase} phase) asks for patience`);
+    }
+
+    topics[topic] = { rating: ratingOf(max ? score / max : 0), notes };
+  });
+
+  const notes = [];
+  if (dasha.mahadasha) {
+    notes.push(`Running ${dasha.mahadasha}${dasha.antardasha ? `-${dasha.antardasha}` : ''} dasha`);
+  }
+  if (sadeSati && sadeSati.active) {
+    notes.push(`Sade sati ${sadeSati.phase} phase${sadeSati.phaseEnds ? ` until ${sadeSati.phaseEnds}` : ''}`);
+  } else if (sadeSati && sadeSati.dhaiya) {
+    notes.push(`${sadeSati.dhaiya}${sadeSati.phaseEnds ? ` until ${sadeSati.phaseEnds}` : ''}`);
+  }
+
+  return {
+    lagna: usesLagna ? natalChart.ascendant.sign.name : null,
+    topics,
+    notes
+  };
+}
+
+module.exports = {
+  PERIODS,
+  TOPICS,
+  periodRange,
+  signForecast,
+  personalOverlay
+};
@@ -0,0 +1,246 @@
+// Astrology data providers.
+// ASTRO_PROVIDER picks the primary provider (divine or local); it defaults to
+// divine when its credentials are configured and local otherwise. Endpoints
+// the primary fails on are retried against the offline provider when it can
+// compute them, so readings keep working without network. Data derived from
+// the natal chart (divisional charts, yogas, transits, doshas) is always
+// computed offline, alongside the provider calls, and so are Moon charts for
+// unknown birth times. A chat language localises the provider's text (its
+// `lan` parameter); data parsed into charts here is requested in English.
+
+require('dotenv').config();
+
+const DivineProvider = require('./DivineProvider');
+const LocalEphemerisProvider = require('./LocalEphemerisProvider');
+const { vimshottariTimeline, summarizeDasha } = require('./dasha');
+const { buildD1Chart } = require('./chart');
+const { ashtakoota, summarizeMatch } = require('./matching');
+const { sadeSati } = require('./transits');
+const horoscope = require('./horoscope');
+const { summarizeChartData } = require('./summary');
+const { resolveOffset, describeResolution, isValidTimeZone } = require('./timezone');
+const rectification = require('./rectification');
+const LanguageService = require('../i18n');
+
+const DERIVED_SOURCES = ['navamsa', 'dasamsa', 'yogas', 'manglik', 'transits', 'sade-sati'];
+
+// Sources that depend on today's sky rather than only the birth moment
+const TIME_DEPENDENT_SOURCES = ['transits', 'sade-sati'];
+
+// Provider responses read by buildD1Chart, which expects English names
+const PARSED_SOURCES = ['planetary-positions'];
+const TRANSIT_TTL_MS = parseInt(process.env.TRANSIT_CACHE_TTL_MS) || 6 * 60 * 60 * 1000;
+const FALLBACK_TTL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A provider is any object with
+//   name, isConfigured(), supports(endpoint), async fetch(birthData, endpoints, { language })
+// where fetch resolves to { [endpoint]: response | { error: true, message } }
+// and language is the Divine `lan` code (providers without translations ignore it).
+class AstrologyService {
+  constructor() {
+    this.providers = new Map();
+    this.fallback = new LocalEphemerisProvider();
+
+    this.registerProvider(new DivineProvider());
+    this.registerProvider(this.fallback);
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Unknown astrology provider "${name}"`);
+    return provider;
+  }
+
+  get primary() {
+    if (process.env.ASTRO_PROVIDER) return this.getProvider(process.env.ASTRO_PROVIDER);
+
+    const divine = this.getProvider('divine');
+    return divine.isConfigured() ? divine : this.fallback;
+  }
+
+  // ✅ Fetch provider endpoints and derived sources in parallel; `language`
+  // is the chat language (an i18n code)
+  async fetchAstrologyData(birthData, endpoints, { language = 'en' } = {}) {
+    const derived = endpoints.filter(endpoint => DERIVED_SOURCES.includes(endpoint));
+    const remote = endpoints.filter(endpoint => !DERIVED_SOURCES.includes(endpoint));
+    const localised = remote.filter(endpoint => this.sourceLanguage(birthData, endpoint, language) !== 'en');
+    const english = remote.filter(endpoint => !localised.includes(endpoint));
+
+    const fetchRemote = (sources, lan) => birthData.chartBasis === 'moon'
+      ? this.fallback.fetch(birthData, sources)
+      : this.fetchFromPrimary(birthData, sources, { language: lan });
+
+    const [results, translated, computed] = await Promise.all([
+      fetchRemote(english, 'en'),
+      fetchRemote(localised, LanguageService.providerLanguage(language)),
+      this.fallback.fetch(birthData, derived)
+    ]);
+
+    return { ...results, ...translated, ...computed };
+  }
+
+  // ✅ Provider `lan` a source is fetched in for a chat language - English for
+  // offline data and for sources parsed into charts
+  sourceLanguage(birthData, source, language) {
+    const offline = this.primary === this.fallback || birthData.chartBasis === 'moon';
+    if (offline || DERIVED_SOURCES.includes(source) || PARSED_SOURCES.includes(source)) return 'en';
+    return LanguageService.providerLanguage(language);
+  }
+
+  // Endpoints from the primary provider, filling failures offline
+  async fetchFromPrimary(birthData, endpoints, options = {}) {
+    if (endpoints.length === 0) return {};
+
+    const primary = this.primary;
+    const results = await primary.fetch(birthData, endpoints, options);
+
+    if (primary === this.fallback) return results;
+
+    const failed = endpoints.filter(endpoint => results[endpoint]?.error && this.fallback.supports(endpoint));
+    if (failed.length > 0) {
+      console.warn(`⚠️ ${primary.name} provider failed for ${failed.join(', ')} - using offline ephemeris`);
+      Object.assign(results, await this.fallback.fetch(birthData, failed));
+    }
+
+    return results;
+  }
+
+  // ✅ How long a fetched response may be cached: null for natal data (forever),
+  // a TTL for transits, and an hour for offline answers standing in for the primary
+  // provider so it is asked again later. Errors are not cached at all.
+  cacheTtl(source, response) {
+    if (response.error) return 0;
+    if (TIME_DEPENDENT_SOURCES.includes(source)) return TRANSIT_TTL_MS;
+
+    const standIn = this.primary !== this.fallback &&
+      !DERIVED_SOURCES.includes(source) &&
+      response.provider === this.fallback.name;
+    return standIn ? FALLBACK_TTL_MS : null;
+  }
+
+  // ✅ When a dasha summary goes stale: the end of the shortest running period, at most a day
+  dashaExpiry(timeline, now = Date.now()) {
+    const { mahadasha, antardasha, pratyantardasha } = timeline.current;
+    const running = pratyantardasha || antardasha || mahadasha;
+    const end = running ? new Date(running.end).getTime() : now + DAY_MS;
+    return Math.min(end, now + DAY_MS);
+  }
+
+  // ✅ Compact prompt text for fetched data
+  summarizeChartData(results, sources) {
+    return summarizeChartData(results, sources);
+  }
+
+  // ✅ UTC offset in force at the birth moment in an IANA timezone, with a note
+  // for ambiguous/non-existent local times. An unknown zone falls back to
+  // fallbackOffsetHours (today's offset from the geocoder) when given.
+  resolveBirthTimezone(timeZone, birth, { fallbackOffsetHours = null } = {}) {
+    let resolution;
+    if (isValidTimeZone(timeZone)) {
+      resolution = resolveOffset(timeZone, birth);
+    } else if (fallbackOffsetHours !== null) {
+      resolution = { timeZone, offset: fallbackOffsetHours, status: 'estimated', candidates: [fallbackOffsetHours] };
+    } else {
+      throw new Error(`Unknown timezone "${timeZone}"`);
+    }
+
+    return { ...resolution, note: describeResolution(resolution, birth) };
+  }
+
+  // ✅ Lagnas that could be rising during a birth time window ({ from, to } as HH:MM)
+  lagnaCandidates(birthData, window) {
+    return rectification.lagnaCandidates(birthData, window);
+  }
+
+  // ✅ Rank the lagna candidates saved on birthData against dated life events
+  rectifyBirthTime(birthData, events) {
+    return rectification.rectify(birthData, birthData.lagnaCandidates || [], events);
+  }
+
+  birthTimeConfidence(birthData) {
+    return rectification.birthTimeConfidence(birthData);
+  }
+
+  formatBirthTime(birthData) {
+    return rectification.formatBirthTime(birthData);
+  }
+
+  get lifeEvents() {
+    return rectification.LIFE_EVENTS;
+  }
+
+  // ✅ Vimshottari dasha timeline, always computed locally from the natal Moon
+  getDashaTimeline(birthData, options = {}) {
+    const chart = this.fallback.computeChart(birthData);
+    const moon = chart.planets.find(planet => planet.name === 'Moon');
+    return vimshottariTimeline(moon.longitude, LocalEphemerisProvider.birthInstant(birthData), options);
+  }
+
+  // ✅ D1 chart from provider positions; computed offline when they lack an ascendant
+  async getD1Chart(birthData, planetaryPositions) {
+    if (planetaryPositions && !planetaryPositions.error && birthData.chartBasis !== 'moon') {
+      try {
+        return { ...buildD1Chart(planetaryPositions), provider: planetaryPositions.provider || this.primary.name };
+      } catch (error) {
+        console.warn('⚠️ Provider positions unusable for chart:', error.message);
+      }
+    }
+
+    const local = await this.fallback.fetch(birthData, ['planetary-positions']);
+    return { ...buildD1Chart(local['planetary-positions']), provider: this.fallback.name };
+  }
+
+  summarizeDasha(timeline, options) {
+    return summarizeDasha(timeline, options);
+  }
+
+  // ✅ Ashtakoota Guna Milan, always computed locally from both natal Moons
+  getMatch(groomBirthData, brideBirthData) {
+    return ashtakoota(this.fallback.computeChart(groomBirthData), this.fallback.computeChart(brideBirthData));
+  }
+
+  summarizeMatch(match, names) {
+    return summarizeMatch(match, names);
+  }
+
+  // ✅ Natal Moon sign (0-11) - what a sign horoscope is shared by
+  moonSignIndex(birthData) {
+    const chart = this.fallback.computeChart(birthData);
+    return chart.planets.find(planet => planet.name === 'Moon').sign.index;
+  }
+
+  // ✅ Dates a horoscope period covers around `now` and when it expires
+  horoscopePeriod(period, now = new Date()) {
+    return horoscope.periodRange(period, now);
+  }
+
+  // ✅ Daily/weekly/monthly transit forecast for a Moon sign, computed locally
+  signForecast(moonSignIndex, period, now = new Date()) {
+    return horoscope.signForecast(moonSignIndex, period, now);
+  }
+
+  // ✅ A chart's own lagna, dasha and sade sati on top of its sign forecast
+  personalForecast(birthData, forecast) {
+    const chart = this.fallback.computeChart(birthData);
+    const { current } = this.getDashaTimeline(birthData, { levels: 2 });
+
+    return horoscope.personalOverlay(chart, forecast, {
+      dasha: {
+        mahadasha: current.mahadasha && current.mahadasha.lord,
+        antardasha: current.antardasha && current.antardasha.lord
+      },
+      sadeSati: sadeSati(chart, this.fallback.transitChart(birthData))
+    });
+  }
+
+  get horoscopePeriods() {
+    return horoscope.PERIODS;
+  }
+}
+
+module.exports = new AstrologyService();
@@ -0,0 +1,280 @@
+// Ashtakoota Guna Milan (36 points) from the two natal Moons, plus Manglik
+// status from Mars. Kootas follow the usual North Indian tables; the groom's
+// and bride's roles matter for Varna, Gana and the Tara/Bhakoot counts.
+
+const { SIGNS } = require('./ephemeris');
+
+// Varna by Moon sign: water signs Brahmin, fire Kshatriya, earth Vaishya, air Shudra
+const VARNAS = ['Brahmin', 'Kshatriya', 'Vaishya', 'Shudra'];
+const SIGN_VARNA = [1, 2, 3, 0, 1, 2, 3, 0, 1, 2, 3, 0].map(index => VARNAS[index]);
+
+const VASHYAS = ['Chatushpada', 'Manava', 'Jalachara', 'Vanachara', 'Keeta'];
+const VASHYA_POINTS = [
+  [2, 1, 1, 0.5, 1],
+  [1, 2, 0.5, 0, 1],
+  [1, 0.5, 2, 1, 1],
+  [0.5, 0, 1, 2, 0],
+  [1, 1, 1, 0, 2]
+];
+
+const YONIS = [
+  'Horse', 'Elephant', 'Sheep', 'Serpent', 'Dog', 'Cat', 'Rat',
+  'Cow', 'Buffalo', 'Tiger', 'Deer', 'Monkey', 'Mongoose', 'Lion'
+];
+const NAKSHATRA_YONI = [
+  'Horse', 'Elephant', 'Sheep', 'Serpent', 'Serpent', 'Dog', 'Cat', 'Sheep', 'Cat',
+  'Rat', 'Rat', 'Cow', 'Buffalo', 'Tiger', 'Buffalo', 'Tiger', 'Deer', 'Deer',
+  'Dog', 'Monkey', 'Mongoose', 'Monkey', 'Lion', 'Horse', 'Lion', 'Cow', 'Elephant'
+];
+const YONI_POINTS = [
+  [4, 2, 2, 3, 2, 2, 2, 1, 0, 1, 3, 3, 2, 1],
+  [2, 4, 3, 3, 2, 2, 2, 2, 3, 1, 2, 3, 2, 0],
+  [2, 3, 4, 2, 1, 2, 1, 3, 3, 1, 2, 0, 3, 1],
+  [3, 3, 2, 4, 2, 1, 1, 1, 1, 2, 2, 2, 0, 2],
+  [2, 2, 1, 2, 4, 2, 1, 2, 2, 1, 0, 2, 1, 1],
+  [2, 2, 2, 1, 2, 4, 0, 2, 2, 1, 3, 3, 2, 1],
+  [2, 2, 1, 1, 1, 0, 4, 2, 2, 2, 2, 2, 1, 2],
+  [1, 2, 3, 1, 2, 2, 2, 4, 3, 0, 3, 2, 2, 1],
+  [0, 3, 3, 1, 2, 2, 2, 3, 4, 1, 2, 2, 2, 1],
+  [1, 1, 1, 2, 1, 1, 2, 0, 1, 4, 1, 1, 2, 1],
+  [3, 2, 2, 2, 0, 3, 2, 3, 2, 1, 4, 2, 2, 1],
+  [3, 3, 0, 2, 2, 3, 2, 2, 2, 1, 2, 4, 3, 2],
+  [2, 2, 3, 0, 1, 2, 1, 2, 2, 2, 2, 3, 4, 2],
+  [1, 0, 1, 2, 1, 1, 2, 1, 1, 1, 1, 2, 2, 4]
+];
+
+// Natural friendships between the sign lords
+const FRIENDSHIP = {
+  Sun: { friends: ['Moon', 'Mars', 'Jupiter'], enemies: ['Venus', 'Saturn'] },
+  Moon: { friends: ['Sun', 'Mercury'], enemies: [] },
+  Mars: { friends: ['Sun', 'Moon', 'Jupiter'], enemies: ['Mercury'] },
+  Mercury: { friends: ['Sun', 'Venus'], enemies: ['Moon'] },
+  Jupiter: { friends: ['Sun', 'Moon', 'Mars'], enemies: ['Mercury', 'Venus'] },
+  Venus: { friends: ['Mercury', 'Saturn'], enemies: ['Sun', 'Moon'] },
+  Saturn: { friends: ['Mercury', 'Venus'], enemies: ['Sun', 'Moon', 'Mars'] }
+};
+
+const GANAS = ['Deva', 'Manushya', 'Rakshasa'];
+const NAKSHATRA_GANA = [
+  0, 1, 2, 1, 0, 1, 0, 0, 2, 2, 1, 1, 0, 2, 0, 2, 0, 2, 2, 1, 1, 0, 2, 2, 1, 1, 0
+].map(index => GANAS[index]);
+// Rows are the groom's gana, columns the bride's
+const GANA_POINTS = [
+  [6, 6, 1],
+  [5, 6, 0],
+  [1, 0, 6]
+];
+
+const NADIS = ['Adi', 'Madhya', 'Antya'];
+
+const MANGLIK_HOUSES = [1, 2, 4, 7, 8, 12];
+
+// Inclusive count from one sign/nakshatra to another (same = 1)
+const countFrom = (from, to, total) => ((to - from + total) % total) + 1;
+
+function vashyaOf(moon) {
+  const degree = moon.longitude % 30;
+  switch (moon.sign) {
+    case 0: case 1: return 'Chatushpada';
+    case 3: case 11: return 'Jalachara';
+    case 4: return 'Vanachara';
+    case 7: return 'Keeta';
+    case 8: return degree < 15 ? 'Manava' : 'Chatushpada';
+    case 9: return degree < 15 ? 'Chatushpada' : 'Jalachara';
+    default: return 'Manava';
+  }
+}
+
+function relation(lord, other) {
+  if (FRIENDSHIP[lord].friends.includes(other)) return 'friend';
+  if (FRIENDSHIP[lord].enemies.includes(other)) return 'enemy';
+  return 'neutral';
+}
+
+function grahaMaitriPoints(groomLord, brideLord) {
+  if (groomLord === brideLord) return 5;
+
+  const relations = [relation(groomLord, brideLord), relation(brideLord, groomLord)].sort().join('+');
+  return {
+    'friend+friend': 5,
+    'friend+neutral': 4,
+    'neutral+neutral': 3,
+    'enemy+friend': 1,
+    'enemy+neutral': 0.5,
+    'enemy+enemy': 0
+  }[relations];
+}
+
+// Tara is auspicious unless the count lands on Vipat (3), Pratyari (5) or Vadha (7)
+function taraAuspicious(from, to) {
+  return ![3, 5, 7].includes(countFrom(from, to, 27) % 9);
+}
+
+// Moon sign/nakshatra of a chart from LocalEphemerisProvider.computeChart
+function moonOf(chart) {
+  const moon = chart.planets.find(planet => planet.name === 'Moon');
+  return {
+    longitude: moon.longitude,
+    sign: moon.sign.index,
+    signName: moon.sign.name,
+    nakshatra: moon.nakshatra.index,
+    nakshatraName: moon.nakshatra.name
+  };
+}
+
+// ✅ Manglik (Kuja) dosha: Mars in 1, 2, 4, 7, 8 or 12 from the lagna, or only from the Moon (partial)
+function manglikStatus(chart) {
+  const mars = chart.planets.find(planet => planet.name === 'Mars');
+  const moon = chart.planets.find(planet => planet.name === 'Moon');
+  const fromLagna = mars.house;
+  const fromMoon = countFrom(moon.sign.index, mars.sign.index, 12);
+
+  const status = MANGLIK_HOUSES.includes(fromLagna)
+    ? 'manglik'
+    : MANGLIK_HOUSES.includes(fromMoon) ? 'partial' : 'none';
+
+  return {
+    status,
+    isManglik: status !== 'none',
+    marsHouseFromLagna: fromLagna,
+    marsHouseFromMoon: fromMoon
+  };
+}
+
+// ✅ All eight kootas for a couple, with Manglik status for both
+function ashtakoota(groomChart, brideChart) {
+  const groom = moonOf(groomChart);
+  const bride = moonOf(brideChart);
+  const groomLord = SIGNS[groom.sign].lord;
+  const brideLord = SIGNS[bride.sign].lord;
+
+  const groomVarna = SIGN_VARNA[groom.sign];
+  const brideVarna = SIGN_VARNA[bride.sign];
+  const groomVashya = vashyaOf(groom);
+  const brideVashya = vashyaOf(bride);
+  const groomYoni = NAKSHATRA_YONI[groom.nakshatra];
+  const brideYoni = NAKSHATRA_YONI[bride.nakshatra];
+  const groomGana = NAKSHATRA_GANA[groom.nakshatra];
+  const brideGana = NAKSHATRA_GANA[bride.nakshatra];
+  const groomNadi = NADIS[[0, 1, 2, 2, 1, 0][groom.nakshatra % 6]];
+  const brideNadi = NADIS[[0, 1, 2, 2, 1, 0][bride.nakshatra % 6]];
+  const bhakootCount = countFrom(bride.sign, groom.sign, 12);
+  const bhakootDosha = [2, 12, 5, 9, 6, 8].includes(bhakootCount);
+
+  const kootas = [
+    {
+      name: 'Varna',
+      area: 'Spiritual compatibility and ego',
+      maxPoints: 1,
+      points: VARNAS.indexOf(groomVarna) <= VARNAS.indexOf(brideVarna) ? 1 : 0,
+      groom: groomVarna,
+      bride: brideVarna
+    },
+    {
+      name: 'Vashya',
+      area: 'Mutual attraction and control',
+      maxPoints: 2,
+      points: VASHYA_POINTS[VASHYAS.indexOf(groomVashya)][VASHYAS.indexOf(brideVashya)],
+      groom: groomVashya,
+      bride: brideVashya
+    },
+    {
+      name: 'Tara',
+      area: 'Destiny and well-being',
+      maxPoints: 3,
+      points: (taraAuspicious(bride.nakshatra, groom.nakshatra) ? 1.5 : 0) +
+        (taraAuspicious(groom.nakshatra, bride.nakshatra) ? 1.5 : 0),
+      groom: groom.nakshatraName,
+      bride: bride.nakshatraName
+    },
+    {
+      name: 'Yoni',
+      area: 'Physical and sexual compatibility',
+      maxPoints: 4,
+      points: YONI_POINTS[YONIS.indexOf(groomYoni)][YONIS.indexOf(brideYoni)],
+      groom: groomYoni,
+      bride: brideYoni
+    },
+    {
+      name: 'Graha Maitri',
+      area: 'Mental compatibility and friendship',
+      maxPoints: 5,
+      points: grahaMaitriPoints(groomLord, brideLord),
+      groom: groomLord,
+      bride: brideLord
+    },
+    {
+      name: 'Gana',
+      area: 'Temperament',
+      maxPoints: 6,
+      points: GANA_POINTS[GANAS.indexOf(groomGana)][GANAS.indexOf(brideGana)],
+      groom: groomGana,
+      bride: brideGana
+    },
+    {
+      name: 'Bhakoot',
+      area: 'Family welfare, finances and health',
+      maxPoints: 7,
+      points: bhakootDosha ? 0 : 7,
+      groom: groom.signName,
+      bride: bride.signName,
+      dosha: bhakootDosha
+    },
+    {
+      name: 'Nadi',
+      area: 'Health and progeny',
+      maxPoints: 8,
+      points: groomNadi === brideNadi ? 0 : 8,
+      groom: groomNadi,
+      bride: brideNadi,
+      dosha: groomNadi === brideNadi
+    }
+  ];
+
+  const total = kootas.reduce((sum, koota) => sum + koota.points, 0);
+  const groomManglik = manglikStatus(groomChart);
+  const brideManglik = manglikStatus(brideChart);
+
+  return {
+    system: 'ashtakoota',
+    total,
+    maxPoints: 36,
+    verdict: total < 18 ? 'not recommended' : total <= 24 ? 'average' : total <= 32 ? 'good' : 'excellent',
+    kootas,
+    doshas: {
+      nadi: kootas[7].dosha,
+      bhakoot: kootas[6].dosha
+    },
+    manglik: {
+      groom: groomManglik,
+      bride: brideManglik,
+      // Mangal dosha is traditionally cancelled when both or neither are Manglik
+      compatible: groomManglik.isManglik === brideManglik.isManglik
+    },
+    moons: {
+      groom: { sign: groom.signName, nakshatra: groom.nakshatraName },
+      bride: { sign: bride.signName, nakshatra: bride.nakshatraName }
+    }
+  };
+}
+
+// ✅ Short text for prompts: score, koota breakdown, doshas and Manglik status
+function summarizeMatch(match, { groomName = 'Groom', brideName = 'Bride' } = {}) {
+  const lines = [
+    `- Total: ${match.total}/${match.maxPoints} (${match.verdict})`,
+    `- ${groomName}: Moon in ${match.moons.groom.sign}, ${match.moons.groom.nakshatra} nakshatra`,
+    `- ${brideName}: Moon in ${match.moons.bride.sign}, ${match.moons.bride.nakshatra} nakshatra`,
+    ...match.kootas.map(koota =>
+      `- ${koota.name} (${koota.area}): ${koota.points}/${koota.maxPoints} - ${groomName} ${koota.groom}, ${brideName} ${koota.bride}`)
+  ];
+
+  if (match.doshas.nadi) lines.push('- Nadi dosha present');
+  if (match.doshas.bhakoot) lines.push('- Bhakoot dosha present');
+
+  lines.push(`- Manglik: ${groomName} ${match.manglik.groom.status}, ${brideName} ${match.manglik.bride.status}` +
+    ` (${match.manglik.compatible ? 'no Mangal dosha mismatch' : 'Mangal dosha mismatch'})`);
+
+  return lines.join('\n');
+}
+
+module.exports = { ashtakoota, manglikStatus, summarizeMatch };
@@ -0,0 +1,226 @@
+// Birth time uncertainty and rectification.
+// A time window (or a whole unknown day) can span several rising signs; the
+// lagna candidates are the signs rising during it. Readings fall back to the
+// Moon chart (Chandra lagna) unless one lagna holds across the window.
+// Rectification scores each candidate against dated life events: the
+// Vimshottari lords running at the event should rule or occupy the event's
+// houses from that lagna, ideally with Jupiter and Saturn transiting them too.
+
+const { SIGNS, GRAHAS, dayNumber, ascendant, siderealLongitude, signOf } = require('./ephemeris');
+const { vimshottariTimeline } = require('./dasha');
+
+const STEP_MINUTES = 4;
+const DAY_MINUTES = 24 * 60;
+
+// Houses counted from the lagna: the first is the event's own house, the rest support it
+const LIFE_EVENTS = {
+  marriage: { question: 'When did you get married?', houses: [7, 2, 11] },
+  first_child: { question: 'When was your first child born?', houses: [5, 9, 11] },
+  career_start: { question: 'When did you start your first job or business?', houses: [10, 6, 11] },
+  career_peak: { question: 'When was your biggest promotion or career break?', houses: [10, 11, 2] },
+  relocation: { question: 'When did you move abroad or to a new city for good?', houses: [12, 9, 3] },
+  education: { question: 'When did you complete your highest degree?', houses: [4, 5, 9] },
+  property: { question: 'When did you buy a house or land?', houses: [4, 11, 2] },
+  illness: { question: 'When did you have a major illness, surgery or accident?', houses: [6, 8, 12] },
+  father_loss: { question: 'If your father has passed away, when?', houses: [9, 10, 3] },
+  mother_loss: { question: 'If your mother has passed away, when?', houses: [4, 5, 10] }
+};
+
+// Points for the dasha lords and transits at an event
+const WEIGHTS = { antardasha: 3, mahadasha: 2, transit: 1, doubleTransit: 1 };
+const MAX_EVENT_SCORE = WEIGHTS.antardasha + WEIGHTS.mahadasha + 2 * WEIGHTS.transit + WEIGHTS.doubleTransit;
+
+// Jupiter and Saturn's full aspects (counted from the planet, 1 = conjunction)
+const ASPECTS = { Jupiter: [1, 5, 7, 9], Saturn: [1, 3, 7, 10] };
+
+const countFrom = (from, to) => ((to - from + 12) % 12) + 1;
+const ordinal = n => `${n}${n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th'}`;
+
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function toClock(minutes) {
+  const clamped = Math.max(0, Math.min(DAY_MINUTES - 1, Math.round(minutes)));
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+}
+
+// UTC instant of a local clock time on the birth date
+function instantAt(birthData, minutes) {
+  const offset = birthData.timezoneOffset === undefined ? 5.5 : birthData.timezoneOffset;
+  const localMs = Date.UTC(birthData.year, birthData.month - 1, birthData.day, 0, minutes);
+  return new Date(localMs - offset * 3600000);
+}
+
+// ✅ Rising signs during the birth time window, with the share of the window each covers
+function lagnaCandidates(birthData, { from, to }) {
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+  const candidates = [];
+
+  for (let minute = start; minute <= end; minute = Math.min(end, minute + STEP_MINUTES)) {
+    const d = dayNumber(instantAt(birthData, minute));
+    const sign = signOf(ascendant(d, birthData.latitude, birthData.longitude));
+    const last = candidates[candidates.length - 1];
+
+    if (last && last.sign === sign.number) {
+      last.toMinutes = minute;
+    } else {
+      candidates.push({ sign: sign.number, signName: sign.name, fromMinutes: minute, toMinutes: minute });
+    }
+    if (minute === end) break;
+  }
+
+  const span = Math.max(1, end - start);
+  return candidates.map(({ fromMinutes, toMinutes: until, ...candidate }) => ({
+    ...candidate,
+    from: toClock(fromMinutes),
+    to: toClock(until),
+    time: toClock((fromMinutes + until) / 2),
+    share: Number((Math.max(STEP_MINUTES, until - fromMinutes) / span).toFixed(3))
+  }));
+}
+
+// Planets that rule or occupy a house counted from the lagna (whole signs)
+function significators(lagnaIndex, planets, house) {
+  const signIndex = (lagnaIndex + house - 1) % 12;
+  return [
+    SIGNS[signIndex].lord,
+    ...planets.filter(planet => planet.signIndex === signIndex).map(planet => planet.name)
+  ];
+}
+
+function transitHits(name, date, lagnaIndex, house) {
+  const signIndex = Math.floor(siderealLongitude(name, dayNumber(date)) / 30);
+  const houseSign = (lagnaIndex + house - 1) % 12;
+  return ASPECTS[name].includes(countFrom(signIndex, houseSign));
+}
+
+// Running mahadasha and antardasha lords on a date
+function dashaAt(timeline, date) {
+  const time = date.toISOString();
+  const mahadasha = timeline.mahadashas.find(period => period.start <= time && time < period.end);
+  const antardasha = mahadasha && mahadasha.antardashas.find(period => period.start <= time && time < period.end);
+  return { mahadasha: mahadasha && mahadasha.lord, antardasha: antardasha && antardasha.lord };
+}
+
+// Mid-month, or mid-year when only the year is known
+function eventDate({ year, month }) {
+  return month ? new Date(Date.UTC(year, month - 1, 15)) : new Date(Date.UTC(year, 6, 1));
+}
+
+function scoreEvent(event, candidate, context) {
+  const { houses } = LIFE_EVENTS[event.type];
+  const date = eventDate(event);
+  const lagnaIndex = candidate.sign - 1;
+  const { mahadasha, antardasha } = dashaAt(context.timeline, date);
+  const reasons = [];
+  let score = 0;
+
+  // Full points for the event's own house, half for a supporting one
+  const lordScore = (lord, weight, level) => {
+    if (!lord) return;
+    const house = houses.find(h => significators(lagnaIndex, context.planets, h).includes(lord));
+    if (!house) return;
+    score += house === houses[0] ? weight : weight / 2;
+    reasons.push(`${lord} ${level} (${ordinal(house)} house)`);
+  };
+  lordScore(antardasha, WEIGHTS.antardasha, 'antardasha');
+  lordScore(mahadasha, WEIGHTS.mahadasha, 'mahadasha');
+
+  const transits = ['Jupiter', 'Saturn'].filter(name => transitHits(name, date, lagnaIndex, houses[0]));
+  score += transits.length * WEIGHTS.transit;
+  if (transits.length === 2) score += WEIGHTS.doubleTransit;
+  if (transits.length > 0) reasons.push(`${transits.join(' and ')} on the ${ordinal(houses[0])} house`);
+
+  return { score, dasha: `${mahadasha || '?'}-${antardasha || '?'}`, reasons };
+}
+
+// ✅ Rank lagna candidates against dated life events: [{ type, year, month? }].
+// Confidence is each candidate's share after weighting its fit by how much
+// of the window it covers.
+function rectify(birthData, candidates, events) {
+  const scored = candidates.map(candidate => {
+    const instant = instantAt(birthData, toMinutes(candidate.time));
+    const d = dayNumber(instant);
+    const moon = siderealLongitude('Moon', d);
+    const context = {
+      timeline: vimshottariTimeline(moon, instant, { levels: 2 }),
+      planets: GRAHAS.map(name => ({ name, signIndex: Math.floor(siderealLongitude(name, d) / 30) }))
+    };
+
+    const results = events.map(event => ({ ...event, ...scoreEvent(event, candidate, context) }));
+    const fit = results.reduce((sum, result) => sum + result.score, 0) / (MAX_EVENT_SCORE * events.length);
+    return { ...candidate, fit: Number(fit.toFixed(3)), events: results };
+  });
+
+  const weights = scored.map(candidate => Math.max(candidate.share, 0.02) * Math.exp(6 * candidate.fit));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return scored
+    .map((candidate, index) => ({ ...candidate, confidence: Number((weights[index] / total).toFixed(3)) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// ✅ How far a reading can be trusted given how the birth time is known
+function birthTimeConfidence(birthData) {
+  const accuracy = birthData.birthTimeAccuracy || 'exact';
+  const candidates = birthData.lagnaCandidates || [];
+
+  if (accuracy === 'exact') {
+    return { level: 'high', score: 0.9, basis: 'lagna', accuracy, label: 'Exact birth time' };
+  }
+
+  if (accuracy === 'rectified' && birthData.rectification) {
+    const score = Math.min(0.85, birthData.rectification.confidence);
+    return {
+      level: score >= 0.7 ? 'high' : score >= 0.45 ? 'medium' : 'low',
+      score,
+      basis: 'lagna',
+      accuracy,
+      label: `Rectified birth time (${birthData.rectification.signName} lagna, ${Math.round(birthData.rectification.confidence * 100)}% likely)`
+    };
+  }
+
+  if (birthData.chartBasis !== 'moon' && candidates.length === 1) {
+    return {
+      level: 'medium',
+      score: 0.7,
+      basis: 'lagna',
+      accuracy,
+      label: `Approximate birth time - ${candidates[0].signName} lagna holds across the whole window`
+    };
+  }
+
+  return {
+    level: 'low',
+    score: 0.5,
+    basis: 'moon',
+    accuracy,
+    label: candidates.length > 1
+      ? `Moon chart - the window spans ${candidates.length} possible lagnas`
+      : 'Moon chart - birth time unknown'
+  };
+}
+
+// ✅ Birth time as it should be quoted: reads after "at"
+function formatBirthTime(birthData) {
+  const window = birthData.birthTimeWindow;
+  switch (birthData.birthTimeAccuracy) {
+    case 'unknown': return 'an unknown time';
+    case 'approximate': return `around ${birthData.birthTime} (${window.from}-${window.to})`;
+    case 'rectified': return `${birthData.birthTime} (rectified)`;
+    default: return birthData.birthTime;
+  }
+}
+
+module.exports = {
+  LIFE_EVENTS,
+  toClock,
+  toMinutes,
+  lagnaCandidates,
+  rectify,
+  birthTimeConfidence,
+  formatBirthTime
+};
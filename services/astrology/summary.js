@@ -0,0 +1,90 @@
+// Prompt text for fetched chart data: a few lines per source instead of the
+// raw provider JSON, so Claude only reads what the question needs.
+
+const { buildD1Chart } = require('./chart');
+
+const TITLES = {
+  'planetary-positions': 'D1 Placements (whole-sign houses)',
+  'basic-astro-details': 'Basic Details',
+  navamsa: 'D9 Navamsa',
+  dasamsa: 'D10 Dasamsa',
+  yogas: 'Yogas',
+  manglik: 'Manglik Dosha',
+  transits: 'Current Transits (gochar)',
+  'sade-sati': 'Sade Sati'
+};
+
+function placements(response) {
+  const chart = buildD1Chart(response);
+  const { ascendant } = chart;
+
+  const lagna = chart.basis === 'moon'
+    ? `- Chandra lagna (birth time unknown - houses counted from the Moon): ${ascendant.signName}`
+    : `- Lagna: ${ascendant.signName} ${ascendant.degree}°${ascendant.nakshatra ? `, ${ascendant.nakshatra}` : ''}`;
+
+  return [
+    lagna,
+    ...chart.houses.flatMap(house => house.planets.map(planet =>
+      `- ${planet.name}${planet.isRetrograde ? ' (R)' : ''}: ${house.signName} ${planet.degree}°, house ${house.house}${planet.nakshatra ? `, ${planet.nakshatra}` : ''}`))
+  ];
+}
+
+function basicDetails(data) {
+  const fields = [
+    ['Lagna', data.chart_basis === 'moon' ? 'unknown (birth time not known)' : data.lagna], ['Lagna lord', data.lagna_lord],
+    ['Moon sign', data.rasi], ['Sun sign', data.sun_sign],
+    ['Nakshatra', data.nakshatra && `${data.nakshatra}${data.nakshatra_pada ? ` pada ${data.nakshatra_pada}` : ''}`],
+    ['Tithi', data.tithi && `${data.paksha ? `${data.paksha} ` : ''}${data.tithi}`], ['Yoga', data.yoga]
+  ].filter(([, value]) => value);
+
+  // Provider shapes vary - fall back to the raw fields when the known ones are missing
+  return fields.length > 0
+    ? [`- ${fields.map(([label, value]) => `${label}: ${value}`).join('; ')}`]
+    : [`- ${JSON.stringify(data)}`];
+}
+
+function divisional(data) {
+  return [
+    `- ${data.basis === 'moon' ? 'Counted from the Moon' : 'Lagna'}: ${data.ascendant.signName} (lord ${data.ascendant.signLord})`,
+    ...data.planets.map(planet => `- ${planet.name}: ${planet.signName}, house ${planet.house}${planet.vargottama ? ' (vargottama)' : ''}`)
+  ];
+}
+
+const FORMATTERS = {
+  'planetary-positions': (data, response) => placements(response),
+  'basic-astro-details': basicDetails,
+  navamsa: divisional,
+  dasamsa: divisional,
+  yogas: data => data.yogas.length > 0
+    ? data.yogas.map(yoga => `- ${yoga.name}: ${yoga.description}`)
+    : ['- None of the common yogas are formed'],
+  manglik: data => [`- ${data.status === 'manglik' ? 'Manglik' : data.status === 'partial' ? 'Partial (from the Moon only)' : 'Not manglik'}: Mars in house ${data.marsHouseFromLagna} from the lagna, ${data.marsHouseFromMoon} from the Moon`],
+  transits: data => data.planets.map(planet =>
+    `- ${planet.name}${planet.isRetrograde && !['Rahu', 'Ketu'].includes(planet.name) ? ' (R)' : ''}: ${planet.signName}, house ${planet.houseFromLagna} from the lagna and ${planet.houseFromMoon} from the Moon${planet.until ? `, until ${planet.until}` : ''}`),
+  'sade-sati': data => [data.active
+    ? `- Running: ${data.phase} phase (Saturn in ${data.saturnSign} over the ${data.moonSign} Moon)${data.phaseEnds ? `, phase ends ${data.phaseEnds}` : ''}`
+    : `- Not running (Saturn in ${data.saturnSign}, house ${data.saturnHouseFromMoon} from the ${data.moonSign} Moon)${data.dhaiya ? `; ${data.dhaiya} until ${data.phaseEnds}` : ''}`]
+};
+
+// ✅ One titled block per source in `results`, in the order given; failed sources are named, not hidden
+function summarizeChartData(results, sources = Object.keys(results)) {
+  return sources
+    .filter(source => results[source])
+    .map(source => {
+      const response = results[source];
+      const title = TITLES[source] || source;
+
+      if (response.error) return `${title}: not available (${response.message})`;
+
+      try {
+        const format = FORMATTERS[source];
+        const lines = format ? format(response.data, response) : [`- ${JSON.stringify(response.data)}`];
+        return `${title}:\n${lines.join('\n')}`;
+      } catch (error) {
+        return `${title}:\n- ${JSON.stringify(response.data)}`;
+      }
+    })
+    .join('\n\n');
+}
+
+module.exports = { summarizeChartData };
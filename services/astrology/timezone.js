@@ -0,0 +1,97 @@
+// Historical UTC offsets for birth times, from the IANA timezone database
+// bundled with Node's ICU (DST rules and offset changes included - Nepal was
+// +5:30 until 1986, India used +6:30 war time in the 1940s).
+// A local time can be ambiguous (clocks went back, so it happened twice) or
+// non-existent (clocks went forward past it); both are resolved and flagged.
+
+const MINUTE_MS = 60000;
+const DAY_MS = 86400000;
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Offset in minutes of `timeZone` at a UTC instant
+function offsetMinutesAt(timeZone, utcMs) {
+  const instant = Math.floor(utcMs / 1000) * 1000;
+  const parts = Object.fromEntries(formatter(timeZone).formatToParts(new Date(instant))
+    .map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  return (wallClock - instant) / MINUTE_MS;
+}
+
+const toHours = minutes => Number((minutes / 60).toFixed(4));
+
+function formatOffset(hours) {
+  const sign = hours < 0 ? '-' : '+';
+  const totalMinutes = Math.round(Math.abs(hours) * 60);
+  return `UTC${sign}${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// ✅ Offset (hours) in force at a local civil time in `timeZone`.
+// status: 'exact', 'ambiguous' (the earlier occurrence is used) or
+// 'nonexistent' (read with the offset from before the clocks moved forward)
+function resolveOffset(timeZone, { year, month, day, hour, minute }) {
+  const localMs = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offsets in force a day either side cover any transition near this time
+  const candidates = [...new Set([
+    offsetMinutesAt(timeZone, localMs - DAY_MS),
+    offsetMinutesAt(timeZone, localMs + DAY_MS)
+  ])];
+  const valid = candidates
+    .filter(offset => offsetMinutesAt(timeZone, localMs - offset * MINUTE_MS) === offset)
+    .sort((a, b) => b - a); // larger offset = earlier instant
+
+  if (valid.length === 1) {
+    return { timeZone, offset: toHours(valid[0]), status: 'exact', candidates: [toHours(valid[0])] };
+  }
+
+  if (valid.length > 1) {
+    return { timeZone, offset: toHours(valid[0]), status: 'ambiguous', candidates: valid.map(toHours) };
+  }
+
+  const before = offsetMinutesAt(timeZone, localMs - DAY_MS);
+  return { timeZone, offset: toHours(before), status: 'nonexistent', candidates: candidates.map(toHours) };
+}
+
+// ✅ User-facing note for birth times that needed a choice, null otherwise
+function describeResolution(resolution, { birthDate, birthTime }) {
+  if (resolution.status === 'ambiguous') {
+    return `${birthTime} on ${birthDate} happened twice in ${resolution.timeZone} (clocks went back). ` +
+      `We used the first occurrence (${formatOffset(resolution.offset)}); the second would be ${formatOffset(resolution.candidates[1])}.`;
+  }
+  if (resolution.status === 'nonexistent') {
+    return `${birthTime} on ${birthDate} did not exist in ${resolution.timeZone} (clocks went forward). ` +
+      `We read it with the earlier ${formatOffset(resolution.offset)} offset - please double-check the birth time.`;
+  }
+  if (resolution.status === 'estimated') {
+    return `The historical timezone for this place is unknown, so today's offset (${formatOffset(resolution.offset)}) was used.`;
+  }
+  return null;
+}
+
+module.exports = { resolveOffset, describeResolution, isValidTimeZone, formatOffset };
@@ -0,0 +1,65 @@
+// Current transits (gochar) of the slow planets over a natal chart, and
+// Saturn's sade sati. Both charts come from LocalEphemerisProvider.computeChart.
+
+const { SIGNS, siderealLongitude, dayNumber } = require('./ephemeris');
+
+const SLOW_PLANETS = ['Saturn', 'Jupiter', 'Rahu', 'Ketu'];
+const DAY_MS = 86400000;
+const MAX_SEARCH_DAYS = 3 * 366; // Saturn spends about 2.5 years in a sign
+
+const countFrom = (from, to) => ((to - from + 12) % 12) + 1;
+
+// First day the planet leaves its current sign (retrograde re-entries included)
+function signChangeDate(name, now) {
+  const start = dayNumber(now);
+  const sign = Math.floor(siderealLongitude(name, start) / 30);
+
+  for (let day = 1; day <= MAX_SEARCH_DAYS; day++) {
+    if (Math.floor(siderealLongitude(name, start + day) / 30) !== sign) {
+      return new Date(now.getTime() + day * DAY_MS).toISOString().substring(0, 10);
+    }
+  }
+  return null;
+}
+
+// ✅ Sign of each slow planet now, counted from the natal lagna and Moon
+function currentTransits(natalChart, transitChart, now = new Date()) {
+  const natalMoon = natalChart.planets.find(planet => planet.name === 'Moon');
+
+  return {
+    date: now.toISOString().substring(0, 10),
+    planets: SLOW_PLANETS.map(name => {
+      const planet = transitChart.planets.find(item => item.name === name);
+      return {
+        name,
+        signName: planet.sign.name,
+        houseFromLagna: countFrom(natalChart.ascendant.sign.index, planet.sign.index),
+        houseFromMoon: countFrom(natalMoon.sign.index, planet.sign.index),
+        isRetrograde: name === 'Rahu' || name === 'Ketu' ? true : planet.isRetrograde,
+        until: signChangeDate(name, now)
+      };
+    })
+  };
+}
+
+// ✅ Sade sati: Saturn in the 12th, 1st or 2nd from the natal Moon; Kantaka/Ashtama Shani in the 4th/8th
+function sadeSati(natalChart, transitChart, now = new Date()) {
+  const natalMoon = natalChart.planets.find(planet => planet.name === 'Moon');
+  const saturn = transitChart.planets.find(planet => planet.name === 'Saturn');
+  const fromMoon = countFrom(natalMoon.sign.index, saturn.sign.index);
+  const phases = { 12: 'rising', 1: 'peak', 2: 'setting' };
+  const dhaiya = { 4: 'Kantaka Shani', 8: 'Ashtama Shani' };
+
+  return {
+    active: !!phases[fromMoon],
+    phase: phases[fromMoon] || null,
+    dhaiya: dhaiya[fromMoon] || null,
+    moonSign: natalMoon.sign.name,
+    saturnSign: saturn.sign.name,
+    saturnHouseFromMoon: fromMoon,
+    phaseEnds: phases[fromMoon] || dhaiya[fromMoon] ? signChangeDate('Saturn', now) : null,
+    nextSadeSatiSign: SIGNS[(natalMoon.sign.index + 11) % 12].name
+  };
+}
+
+module.exports = { currentTransits, sadeSati };
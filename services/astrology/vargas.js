@@ -0,0 +1,49 @@
+// Divisional charts (vargas) from the sidereal longitudes of
+// LocalEphemerisProvider.computeChart. D9 (Navamsa) is read for marriage and
+// dharma, D10 (Dasamsa) for career. Houses are whole signs from the varga lagna
+// (the Moon's varga sign for a Moon chart).
+
+const { SIGNS, normalize } = require('./ephemeris');
+
+// Navamsa: 3°20' parts counted on from Aries through the zodiac, which gives
+// movable signs their own start, fixed signs the 9th and dual signs the 5th
+function navamsaSign(longitude) {
+  return Math.floor(normalize(longitude) / (30 / 9)) % 12;
+}
+
+// Dasamsa: 3° parts starting from the sign itself (odd signs) or the 9th from it (even signs)
+function dasamsaSign(longitude) {
+  const sign = Math.floor(normalize(longitude) / 30);
+  const part = Math.floor((normalize(longitude) % 30) / 3);
+  return (sign + (sign % 2 === 0 ? 0 : 8) + part) % 12;
+}
+
+const DIVISIONS = {
+  D9: { name: 'Navamsa', signOf: navamsaSign },
+  D10: { name: 'Dasamsa', signOf: dasamsaSign }
+};
+
+// ✅ Varga lagna and planet signs/houses; vargottama planets share their D1 sign
+function divisionalChart(chart, division) {
+  const { name, signOf } = DIVISIONS[division];
+  const lagna = signOf(chart.ascendant.longitude);
+
+  return {
+    chart: division,
+    name,
+    basis: chart.basis || 'lagna',
+    ascendant: { sign: lagna + 1, signName: SIGNS[lagna].name, signLord: SIGNS[lagna].lord },
+    planets: chart.planets.map(planet => {
+      const sign = signOf(planet.longitude);
+      return {
+        name: planet.name,
+        sign: sign + 1,
+        signName: SIGNS[sign].name,
+        house: ((sign - lagna + 12) % 12) + 1,
+        vargottama: sign === planet.sign.index
+      };
+    })
+  };
+}
+
+module.exports = { divisionalChart, navamsaSign, dasamsaSign };
@@ -0,0 +1,112 @@
+// Classical yogas read from the D1 chart of LocalEphemerisProvider.computeChart.
+// Only the well-known combinations a reading usually mentions are checked;
+// houses are whole signs from the lagna.
+
+const { SIGNS } = require('./ephemeris');
+
+const EXALTATION = { Sun: 0, Moon: 1, Mars: 9, Mercury: 5, Jupiter: 3, Venus: 11, Saturn: 6 };
+
+const MAHAPURUSHA = {
+  Mars: 'Ruchaka',
+  Mercury: 'Bhadra',
+  Jupiter: 'Hamsa',
+  Venus: 'Malavya',
+  Saturn: 'Shasha'
+};
+
+const KENDRAS = [1, 4, 7, 10];
+const TRIKONAS = [1, 5, 9];
+const DUSTHANAS = [6, 8, 12];
+
+const countFrom = (from, to) => ((to - from + 12) % 12) + 1;
+const ordinal = n => `${n}${n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th'}`;
+
+function strongSign(planet) {
+  return SIGNS[planet.sign.index].lord === planet.name || EXALTATION[planet.name] === planet.sign.index;
+}
+
+// ✅ Yogas present in the chart: [{ name, planets, description }]
+function findYogas(chart) {
+  const byName = Object.fromEntries(chart.planets.map(planet => [planet.name, planet]));
+  const lagnaSign = chart.ascendant.sign.index;
+  const lordOf = house => SIGNS[(lagnaSign + house - 1) % 12].lord;
+  const conjunct = (a, b) => a !== b && byName[a].sign.index === byName[b].sign.index;
+  const yogas = [];
+
+  Object.entries(MAHAPURUSHA).forEach(([planetName, yoga]) => {
+    const planet = byName[planetName];
+    if (KENDRAS.includes(planet.house) && strongSign(planet)) {
+      yogas.push({
+        name: `${yoga} (Pancha Mahapurusha)`,
+        planets: [planetName],
+        description: `${planetName} in its own or exaltation sign ${planet.sign.name} in the ${ordinal(planet.house)} house`
+      });
+    }
+  });
+
+  const { Moon, Jupiter, Sun, Mercury, Mars } = byName;
+
+  if (KENDRAS.includes(countFrom(Moon.sign.index, Jupiter.sign.index))) {
+    yogas.push({ name: 'Gajakesari', planets: ['Jupiter', 'Moon'], description: 'Jupiter in a kendra from the Moon' });
+  }
+  if (Sun.sign.index === Mercury.sign.index) {
+    yogas.push({ name: 'Budhaditya', planets: ['Sun', 'Mercury'], description: `Sun and Mercury together in ${Sun.sign.name}` });
+  }
+  if (Moon.sign.index === Mars.sign.index) {
+    yogas.push({ name: 'Chandra-Mangala', planets: ['Moon', 'Mars'], description: `Moon and Mars together in ${Moon.sign.name}` });
+  }
+
+  const flanking = chart.planets.filter(planet =>
+    !['Sun', 'Moon', 'Rahu', 'Ketu'].includes(planet.name) &&
+    [2, 12].includes(countFrom(Moon.sign.index, planet.sign.index)));
+  if (flanking.length === 0) {
+    yogas.push({ name: 'Kemadruma', planets: ['Moon'], description: 'No planet in the 2nd or 12th from the Moon' });
+  }
+
+  const pairs = (houses, others) => houses.flatMap(house => others.map(other => [lordOf(house), lordOf(other), house, other]));
+
+  // Raja yoga: a kendra lord conjunct a trikona lord
+  pairs(KENDRAS, TRIKONAS)
+    .filter(([kendraLord, trikonaLord]) => conjunct(kendraLord, trikonaLord))
+    .forEach(([kendraLord, trikonaLord, kendra, trikona]) => {
+      yogas.push({
+        name: 'Raja',
+        planets: [kendraLord, trikonaLord],
+        description: `${ordinal(kendra)} lord ${kendraLord} with ${ordinal(trikona)} lord ${trikonaLord} in ${byName[kendraLord].sign.name}`
+      });
+    });
+
+  // Dhana yoga: a wealth lord (2nd/11th) conjunct a trikona lord (5th/9th)
+  pairs([2, 11], [5, 9])
+    .filter(([wealthLord, trikonaLord]) => conjunct(wealthLord, trikonaLord))
+    .forEach(([wealthLord, trikonaLord, house, trikona]) => {
+      yogas.push({
+        name: 'Dhana',
+        planets: [wealthLord, trikonaLord],
+        description: `${ordinal(house)} lord ${wealthLord} with ${ordinal(trikona)} lord ${trikonaLord} in ${byName[wealthLord].sign.name}`
+      });
+    });
+
+  // Viparita Raja yoga: a dusthana lord placed in a dusthana
+  DUSTHANAS
+    .filter(house => DUSTHANAS.includes(byName[lordOf(house)].house))
+    .forEach(house => {
+      const lord = lordOf(house);
+      yogas.push({
+        name: 'Viparita Raja',
+        planets: [lord],
+        description: `${ordinal(house)} lord ${lord} in the ${ordinal(byName[lord].house)} house`
+      });
+    });
+
+  // The same pair can qualify through two houses it rules - keep one entry
+  const seen = new Set();
+  return yogas.filter(yoga => {
+    const key = `${yoga.name}:${[...yoga.planets].sort().join('+')}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = { findYogas };
@@ -0,0 +1,16 @@
+// Where the app keeps its state: the SQLite database, generated reports and
+// the dev mail outbox. DATA_DIR defaults to ./data; the web server only
+// serves the frontend files it names, so nothing in here is reachable over HTTP.
+
+require('dotenv').config();
+
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// ✅ Path inside the data directory
+function dataPath(...parts) {
+  return path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, ...parts);
+}
+
+module.exports = { dataPath };
@@ -0,0 +1,13 @@
+// Enhanced logging utility - ENABLE_DEBUG_LOGS=true turns it on,
+// DEBUG_<CATEGORY>=true also dumps the data payload
+function debugLog(category, message, data = null) {
+  if (process.env.ENABLE_DEBUG_LOGS === 'true') {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [${category.toUpperCase()}] ${message}`);
+    if (data && process.env[`DEBUG_${category.toUpperCase()}`] === 'true') {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+}
+
+module.exports = debugLog;
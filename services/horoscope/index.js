@@ -0,0 +1,263 @@
+// Personalised horoscope feed: daily, weekly and monthly forecasts by topic
+// (love, career, money, health) for a profile.
+// The sign part - transits from the natal Moon sign and the text written for
+// them - is shared by every profile with that Moon sign, so it is cached per
+// sign, period and language until the period ends. The personal overlay
+// (lagna, dasha, sade sati) is cheap and cached per birth-input hash.
+// Claude (HOROSCOPE_MODEL, default CLAUDE_MODEL) writes the text;
+// HOROSCOPE_WRITER=templates, a missing CLAUDE_API_KEY or any Claude error
+// (including HOROSCOPE_TIMEOUT_MS, default 15s) writes it from templates,
+// which are only kept for an hour when Claude could be asked again.
+
+require('dotenv').config();
+
+const ClaudeService = require('../ClaudeService');
+const ChartCache = require('../ChartCache');
+const AstrologyService = require('../astrology');
+const ResponseValidator = require('../ResponseValidator');
+const LanguageService = require('../i18n');
+
+const TIMEOUT_MS = parseInt(process.env.HOROSCOPE_TIMEOUT_MS) || 15000;
+const STAND_IN_TTL_MS = 60 * 60 * 1000;
+
+const TOPIC_NAMES = {
+  love: 'love and relationships',
+  career: 'career and work',
+  money: 'money and finances',
+  health: 'health and energy'
+};
+
+const PERIOD_NOUNS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const PERIOD_PHRASES = { daily: 'today', weekly: 'this week', monthly: 'this month' };
+
+const RATING_PHRASES = ['', 'A difficult', 'A demanding', 'A mixed', 'A good', 'An excellent'];
+
+const topicField = topic => ({
+  type: 'string',
+  description: `Two or three sentences on ${TOPIC_NAMES[topic]}, following its rating.`
+});
+
+const HOROSCOPE_TOOL = {
+  name: 'write_horoscope',
+  description: 'Record the horoscope for one Moon sign and period.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      overview: {
+        type: 'string',
+        description: 'Two or three sentences on the period as a whole, mentioning any good or caution days given.'
+      },
+      love: topicField('love'),
+      career: topicField('career'),
+      money: topicField('money'),
+      health: topicField('health')
+    },
+    required: ['overview', ...Object.keys(TOPIC_NAMES)]
+  }
+};
+
+class HoroscopeService {
+  constructor() {
+    // Sign horoscopes being written, so concurrent requests share one Claude call
+    this.pending = new Map();
+  }
+
+  get writer() {
+    return process.env.HOROSCOPE_WRITER || 'claude';
+  }
+
+  get model() {
+    return process.env.HOROSCOPE_MODEL || ClaudeService.model;
+  }
+
+  isLLMEnabled() {
+    return this.writer !== 'templates' && ClaudeService.isConfigured();
+  }
+
+  get periods() {
+    return AstrologyService.horoscopePeriods;
+  }
+
+  // ✅ Horoscope for a profile ({ id, fullName, birthData }) in a chat language
+  async forProfile(profile, period, { language = 'en', now = new Date() } = {}) {
+    const { birthData } = profile;
+    const sign = await this.signHoroscope(AstrologyService.moonSignIndex(birthData), period, language, now);
+    const { forecast, text } = sign;
+    const personal = this.personalOverlay(birthData, forecast);
+
+    const topics = {};
+    Object.entries(forecast.topics).forEach(([topic, { rating, factors }]) => {
+      topics[topic] = {
+        rating: personal.topics[topic].rating,
+        signRating: rating,
+        text: text[topic],
+        factors,
+        personal: personal.topics[topic].notes
+      };
+    });
+
+    return {
+      profileId: profile.id,
+      name: profile.fullName,
+      period,
+      start: forecast.start,
+      end: forecast.end,
+      language,
+      moonSign: forecast.moonSign,
+      lagna: personal.lagna,
+      overview: text.overview,
+      topics,
+      notes: personal.notes,
+      goodDays: forecast.moonDays ? forecast.moonDays.favourable : [],
+      cautionDays: forecast.moonDays ? forecast.moonDays.caution : [],
+      chandrashtama: forecast.chandrashtama,
+      ingresses: forecast.ingresses,
+      confidence: AstrologyService.birthTimeConfidence(birthData),
+      writtenBy: sign.writtenBy,
+      expiresAt: new Date(forecast.expiresAt).toISOString()
+    };
+  }
+
+  // ✅ Forecast and text for a Moon sign (0-11), from the cache when another
+  // profile with this sign already asked for the period
+  async signHoroscope(moonSignIndex, period, language = 'en', now = new Date()) {
+    const { start, expiresAt } = AstrologyService.horoscopePeriod(period, now);
+    const key = `horoscope:${period}:${start}:${moonSignIndex}:${language}`;
+
+    const cached = ChartCache.get(key);
+    if (cached) return cached;
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const writing = this.writeSignHoroscope(moonSignIndex, period, language, now)
+      .then(result => {
+        const standIn = result.writtenBy === 'templates' && this.isLLMEnabled();
+        ChartCache.set(key, result, { expiresAt: standIn ? Math.min(expiresAt, Date.now() + STAND_IN_TTL_MS) : expiresAt });
+        return result;
+      })
+      .finally(() => this.pending.delete(key));
+
+    this.pending.set(key, writing);
+    return writing;
+  }
+
+  async writeSignHoroscope(moonSignIndex, period, language, now) {
+    const forecast = AstrologyService.signForecast(moonSignIndex, period, now);
+
+    if (this.isLLMEnabled()) {
+      try {
+        const text = await this.writeWithClaude(forecast, language, now);
+        return { forecast, text, writtenBy: 'claude' };
+      } catch (error) {
+        console.error('❌ Horoscope writer failed, using templates:', error.message);
+      }
+    }
+
+    return { forecast, text: this.writeFromTemplates(forecast), writtenBy: 'templates' };
+  }
+
+  // Lagna, dasha and sade sati notes; they only change with the period
+  personalOverlay(birthData, forecast) {
+    const key = `horoscope:${ChartCache.birthKey(birthData)}:${forecast.period}:${forecast.start}`;
+    const cached = ChartCache.get(key);
+    if (cached) return cached;
+
+    return ChartCache.set(key, AstrologyService.personalForecast(birthData, forecast), { expiresAt: forecast.expiresAt });
+  }
+
+  // Transits, ratings and days in the form the writer reads them
+  describeForecast(forecast) {
+    const noun = PERIOD_NOUNS[forecast.period];
+    const lines = [
+      `Moon sign (rashi): ${forecast.moonSign}`,
+      `Period: the ${noun} ${forecast.start === forecast.end ? `of ${forecast.start}` : `from ${forecast.start} to ${forecast.end}`}`,
+      '',
+      'Transits (houses counted from the Moon sign):',
+      ...forecast.transits.map(transit => `- ${transit.name} in ${transit.signName}, house ${transit.houseFromMoon} (${transit.favourable ? 'favourable' : 'challenging'})`),
+      '',
+      'Topic ratings (1 = difficult, 5 = excellent) and the transits behind them:',
+      ...Object.entries(forecast.topics).map(([topic, { rating, factors }]) =>
+        `- ${topic}: ${rating}/5 - ${factors.join('; ') || 'no strong transits'}`)
+    ];
+
+    if (forecast.chandrashtama) {
+      lines.push('', 'The Moon is in the 8th from the Moon sign today (chandrashtama): advise against big decisions.');
+    }
+    if (forecast.moonDays) {
+      lines.push('', `Good days: ${forecast.moonDays.favourable.join(', ') || 'none'}`);
+      lines.push(`Caution days (chandrashtama): ${forecast.moonDays.caution.join(', ') || 'none'}`);
+    }
+    if (forecast.ingresses.length > 0) {
+      lines.push('', 'Sign changes:', ...forecast.ingresses.map(change =>
+        `- ${change.date}: ${change.name} enters ${change.signName}, house ${change.houseFromMoon} (${change.favourable ? 'favourable' : 'challenging'})`));
+    }
+
+    return lines.join('\n');
+  }
+
+  async writeWithClaude(forecast, language, now) {
+    const facts = ResponseValidator.temporalFacts(null, now);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+      const { input } = await ClaudeService.callTool({
+        model: this.model,
+        max_tokens: 1200,
+        system: `You are an expert Vedic astrologer writing the ${forecast.period} horoscope for everyone whose Moon sign is ${forecast.moonSign}.
+Base every sentence on the transits and ratings given and name the transits you are reading.
+A low rating calls for caution and practical advice, a high one for making the most of it.
+Be warm and practical. No emojis, no medical diagnoses and no predictions of death or disaster.
+
+Facts (these are correct - never contradict them):
+${ResponseValidator.promptFacts(facts)}
+
+Response language: ${LanguageService.instruction(language)}`,
+        messages: [{ role: 'user', content: this.describeForecast(forecast) }]
+      }, HOROSCOPE_TOOL, { signal: controller.signal });
+
+      const missing = HOROSCOPE_TOOL.input_schema.required.filter(field => typeof input[field] !== 'string' || !input[field].trim());
+      if (missing.length > 0) {
+        throw new Error(`Horoscope is missing ${missing.join(', ')}`);
+      }
+
+      const text = {};
+      HOROSCOPE_TOOL.input_schema.required.forEach(field => { text[field] = input[field].trim(); });
+      return text;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // ✅ Offline text: the rating in words and the transits behind it (English)
+  writeFromTemplates(forecast) {
+    const noun = PERIOD_NOUNS[forecast.period];
+    const text = {};
+
+    Object.entries(forecast.topics).forEach(([topic, { rating, factors }]) => {
+      text[topic] = `${RATING_PHRASES[rating]} ${noun} for ${TOPIC_NAMES[topic]}${factors.length ? `: ${factors.join(', ')}` : ''}.`;
+    });
+
+    const ranked = Object.entries(forecast.topics).sort((a, b) => b[1].rating - a[1].rating);
+    const [best] = ranked;
+    const weakest = ranked[ranked.length - 1];
+    const overview = [
+      `For ${forecast.moonSign} Moon, ${TOPIC_NAMES[best[0]]} look strongest ${PERIOD_PHRASES[forecast.period]}` +
+        (weakest[1].rating < best[1].rating ? ` and ${TOPIC_NAMES[weakest[0]]} need the most care.` : '.')
+    ];
+
+    if (forecast.chandrashtama) {
+      overview.push('The Moon transits the 8th from your Moon sign (chandrashtama), so avoid big decisions today.');
+    }
+    if (forecast.moonDays && forecast.moonDays.caution.length > 0) {
+      overview.push(`Go carefully on ${forecast.moonDays.caution.join(', ')} (chandrashtama).`);
+    }
+    if (forecast.ingresses.length > 0) {
+      overview.push(forecast.ingresses.map(change => `${change.name} enters ${change.signName} on ${change.date}`).join('; ') + '.');
+    }
+
+    text.overview = overview.join(' ');
+    return text;
+  }
+}
+
+module.exports = new HoroscopeService();
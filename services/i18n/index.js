@@ -0,0 +1,198 @@
+// Chat languages: the user's preference drives the Divine API `lan`
+// parameter, the language and script Claude answers in and the frontend
+// strings (strings/<code>.json, English filling any gaps).
+// A preference of 'auto' is detected from the user's first messages by
+// script - Devanagari is told apart as Hindi or Marathi by common words -
+// and, for Latin text, by Hinglish words.
+
+const fs = require('fs');
+const path = require('path');
+
+const STRINGS_DIR = path.join(__dirname, 'strings');
+
+// Messages the automatic preference is detected from
+const DETECTION_MESSAGES = 3;
+
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    nativeName: 'English',
+    locale: 'en-IN',
+    provider: 'en',
+    instruction: 'Respond in English.'
+  },
+  hi: {
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    locale: 'hi-IN',
+    provider: 'hi',
+    instruction: 'Respond in Hindi written in Devanagari script. Use the usual Hindi/Sanskrit astrology terms (लग्न, दशा, नक्षत्र, ग्रह) and keep planet names recognisable.'
+  },
+  hinglish: {
+    name: 'Hinglish',
+    nativeName: 'Hinglish',
+    locale: 'hi-Latn-IN',
+    provider: 'en',
+    instruction: 'Respond in Hinglish: conversational Hindi written in Roman (Latin) script, mixing in everyday English words the way people text (e.g. "Aapki kundli mein Jupiter 7th house mein strong hai"). Never use Devanagari.'
+  },
+  ta: {
+    name: 'Tamil',
+    nativeName: 'தமிழ்',
+    locale: 'ta-IN',
+    provider: 'ta',
+    instruction: 'Respond in Tamil written in Tamil script, using the usual Tamil astrology terms (லக்னம், தசை, நட்சத்திரம்).'
+  },
+  te: {
+    name: 'Telugu',
+    nativeName: 'తెలుగు',
+    locale: 'te-IN',
+    provider: 'te',
+    instruction: 'Respond in Telugu written in Telugu script, using the usual Telugu astrology terms (లగ్నం, దశ, నక్షత్రం).'
+  },
+  bn: {
+    name: 'Bengali',
+    nativeName: 'বাংলা',
+    locale: 'bn-IN',
+    provider: 'bn',
+    instruction: 'Respond in Bengali written in Bengali script, using the usual Bengali astrology terms (লগ্ন, দশা, নক্ষত্র).'
+  },
+  mr: {
+    name: 'Marathi',
+    nativeName: 'मराठी',
+    locale: 'mr-IN',
+    provider: 'mr',
+    instruction: 'Respond in Marathi written in Devanagari script, using the usual Marathi astrology terms (लग्न, दशा, नक्षत्र) - not Hindi.'
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const SCRIPTS = [
+  { language: 'devanagari', pattern: /[\u0900-\u097f]/g },
+  { language: 'bn', pattern: /[\u0980-\u09ff]/g },
+  { language: 'ta', pattern: /[\u0b80-\u0bff]/g },
+  { language: 'te', pattern: /[\u0c00-\u0c7f]/g },
+  { language: 'latin', pattern: /[a-z]/gi }
+];
+
+// Common words that tell Marathi from Hindi in Devanagari
+const DEVANAGARI_WORDS = {
+  mr: ['आहे', 'आहेत', 'माझा', 'माझी', 'माझे', 'मला', 'तुम्ही', 'काय', 'कधी', 'होईल', 'नाही', 'आणि', 'कसे', 'कशी', 'लग्न', 'नोकरी', 'सांगा'],
+  hi: ['है', 'हैं', 'मेरा', 'मेरी', 'मेरे', 'मुझे', 'आप', 'क्या', 'कब', 'होगा', 'होगी', 'नहीं', 'और', 'कैसे', 'कैसा', 'शादी', 'नौकरी', 'बताइए', 'बताओ']
+};
+
+// Romanised Hindi that rarely appears in English text
+const HINGLISH_WORDS = [
+  'kya', 'kab', 'kaise', 'kaisa', 'kaisi', 'kitna', 'kitni', 'kyun', 'hai', 'hain', 'hoga', 'hogi', 'honge',
+  'mera', 'meri', 'mere', 'mujhe', 'aap', 'aapka', 'aapki', 'mein', 'nahi', 'nahin', 'aur', 'bhi', 'kuch',
+  'shaadi', 'naukri', 'paisa', 'padhai', 'videsh', 'pyaar', 'ghar', 'saal', 'zindagi', 'batao', 'bataiye',
+  'milegi', 'milega', 'rahega', 'rahegi', 'karun', 'karna', 'chahiye', 'abhi', 'achha', 'accha', 'kundli'
+];
+
+const ENGLISH_WORDS = [
+  'the', 'is', 'are', 'will', 'what', 'when', 'how', 'my', 'i', 'me', 'you', 'your', 'and', 'should',
+  'can', 'get', 'about', 'for', 'with', 'which', 'why', 'job', 'marriage', 'career', 'tell'
+];
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+const wordHits = (words, vocabulary) => words.filter(word => vocabulary.includes(word)).length;
+
+class LanguageService {
+  constructor() {
+    this.catalogs = new Map();
+  }
+
+  isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+  }
+
+  get(code) {
+    return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+  }
+
+  // ✅ Languages for the frontend picker
+  list() {
+    return Object.entries(LANGUAGES).map(([code, { name, nativeName, locale }]) => ({ code, name, nativeName, locale }));
+  }
+
+  // ✅ Language a message is written in, or null when it is too short to tell
+  detect(text) {
+    const message = String(text || '');
+    const counts = SCRIPTS.map(script => ({ ...script, count: countMatches(message, script.pattern) }))
+      .sort((a, b) => b.count - a.count);
+    const [top] = counts;
+
+    if (top.count === 0) return null;
+
+    if (top.language === 'devanagari') {
+      const words = message.split(/[\s,.!?;:()"'\u0964]+/).filter(Boolean);
+      return wordHits(words, DEVANAGARI_WORDS.mr) > wordHits(words, DEVANAGARI_WORDS.hi) ? 'mr' : 'hi';
+    }
+
+    if (top.language !== 'latin') return top.language;
+
+    const words = message.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+    const hinglish = wordHits(words, HINGLISH_WORDS);
+    const english = wordHits(words, ENGLISH_WORDS);
+
+    if (hinglish >= 2 || (hinglish === 1 && english <= 1)) return 'hinglish';
+    if (english >= 1 || words.length >= 3) return 'en';
+    return null;
+  }
+
+  // ✅ A user's automatic preference after one more of their messages, or
+  // null once detection is over (a manual choice, or enough messages seen).
+  // English never replaces an Indian language once one has been seen.
+  detectFor(user, message) {
+    const current = user.language || {};
+    if (current.source === 'manual') return null;
+
+    const samples = current.samples || 0;
+    if (samples >= DETECTION_MESSAGES) return null;
+
+    const detected = this.detect(message);
+    const keep = !detected || (detected === 'en' && current.code && current.code !== 'en');
+
+    return {
+      code: keep ? current.code || null : detected,
+      source: 'auto',
+      samples: samples + 1
+    };
+  }
+
+  // ✅ The language a user's answers are written in
+  resolve(user) {
+    const code = user && user.language && user.language.code;
+    return this.isSupported(code) ? code : DEFAULT_LANGUAGE;
+  }
+
+  // ✅ Divine API `lan` for a language
+  providerLanguage(code) {
+    return this.get(code).provider;
+  }
+
+  // ✅ Prompt instruction for the answer's language and script
+  instruction(code) {
+    return this.get(code).instruction;
+  }
+
+  // ✅ Frontend strings for a language, English filling missing keys
+  strings(code) {
+    const language = this.isSupported(code) ? code : DEFAULT_LANGUAGE;
+    if (!this.catalogs.has(language)) {
+      const english = this.readCatalog(DEFAULT_LANGUAGE);
+      this.catalogs.set(language, language === DEFAULT_LANGUAGE ? english : { ...english, ...this.readCatalog(language) });
+    }
+    return this.catalogs.get(language);
+  }
+
+  readCatalog(code) {
+    const file = path.join(STRINGS_DIR, `${code}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+}
+
+module.exports = new LanguageService();
+module.exports.LANGUAGES = LANGUAGES;
+module.exports.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
@@ -0,0 +1,146 @@
+// Routes a chat question to an intent before the chart data is fetched.
+// A small Claude call (INTENT_MODEL, default claude-3-haiku) fills a JSON
+// schema with the intent, sub-topics, time horizon and chart data the answer
+// needs. INTENT_ROUTER=keywords, a missing CLAUDE_API_KEY or any router error
+// (including INTENT_TIMEOUT_MS, default 4s) falls back to the keyword classifier.
+
+require('dotenv').config();
+
+const ClaudeService = require('../ClaudeService');
+const { classifyByKeywords } = require('./keywords');
+const { INTENTS, TIME_HORIZONS, CHART_DATA, DEFAULT_CHART_DATA, dataSources } = require('./taxonomy');
+
+const TIMEOUT_MS = parseInt(process.env.INTENT_TIMEOUT_MS) || 4000;
+const HISTORY_TURNS = 4;
+
+const ROUTE_TOOL = {
+  name: 'route_question',
+  description: 'Record how a Vedic astrology chat question should be answered.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      intent: {
+        type: 'string',
+        enum: INTENTS,
+        description: 'Main life area asked about. general_overview only for a request for a full reading of the chart.'
+      },
+      subTopics: {
+        type: 'array',
+        items: { type: 'string' },
+        maxItems: 5,
+        description: 'Specific topics in a few lowercase words each, e.g. "job abroad", "marriage timing", "business partnership".'
+      },
+      timeHorizon: {
+        type: 'string',
+        enum: TIME_HORIZONS,
+        description: 'The period the question is about; unspecified when no time is implied.'
+      },
+      chartData: {
+        type: 'array',
+        items: { type: 'string', enum: Object.keys(CHART_DATA) },
+        description: 'Chart data needed to answer well.'
+      },
+      confidence: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1
+      }
+    },
+    required: ['intent', 'subTopics', 'timeHorizon', 'chartData', 'confidence']
+  }
+};
+
+const SYSTEM_PROMPT = `You route questions for a Vedic astrology chat app. Users write in English, Hinglish, Hindi, Marathi, Tamil, Telugu or Bengali; always write subTopics in English.
+Classify the latest question; earlier messages only resolve follow-ups like "and when?".
+Intents: ${INTENTS.join(', ')}. Use general for questions that fit no single area.
+"Job abroad" or "settle in foreign" is travel; studies and exams are education; spouse, wedding and shaadi are marriage; dating and an existing romance are love.
+Chart data:
+${Object.entries(CHART_DATA).map(([key, description]) => `- ${key}: ${description}`).join('\n')}`;
+
+class IntentRouter {
+  get mode() {
+    return process.env.INTENT_ROUTER || 'llm';
+  }
+
+  get model() {
+    return process.env.INTENT_MODEL || 'claude-3-haiku-20240307';
+  }
+
+  isLLMEnabled() {
+    return this.mode !== 'keywords' && ClaudeService.isConfigured();
+  }
+
+  // Offline classification - also used where a request can't wait for Claude
+  classifyOffline(message) {
+    return classifyByKeywords(message);
+  }
+
+  // ✅ Classify a question; history is the conversation so far ({ role, content })
+  async classify(message, { history = [] } = {}) {
+    if (!this.isLLMEnabled()) {
+      return this.classifyOffline(message);
+    }
+
+    try {
+      return await this.classifyWithClaude(message, history);
+    } catch (error) {
+      console.error('❌ Intent router failed, using keywords:', error.message);
+      return this.classifyOffline(message);
+    }
+  }
+
+  async classifyWithClaude(message, history) {
+    const earlier = history
+      .filter(turn => turn.role === 'user')
+      .slice(-HISTORY_TURNS)
+      .map(turn => `- ${String(turn.content).substring(0, 200)}`)
+      .join('\n');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+      const { input } = await ClaudeService.callTool({
+        model: this.model,
+        max_tokens: 300,
+        temperature: 0,
+        system: SYSTEM_PROMPT,
+        messages: [{
+          role: 'user',
+          content: `${earlier ? `Earlier questions:\n${earlier}\n\n` : ''}Question: ${message}`
+        }]
+      }, ROUTE_TOOL, { signal: controller.signal });
+
+      return this.normalize(input, message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Claude's tool input is schema-shaped but not guaranteed - keep only known values
+  normalize(input, message) {
+    if (!INTENTS.includes(input.intent)) {
+      throw new Error(`Unknown intent "${input.intent}"`);
+    }
+
+    const requested = Array.isArray(input.chartData) ? input.chartData : [];
+    const chartData = requested.length > 0
+      ? Object.keys(CHART_DATA).filter(item => item === 'planetary-positions' || requested.includes(item))
+      : DEFAULT_CHART_DATA[input.intent];
+    const confidence = Number(input.confidence);
+
+    return {
+      intent: input.intent,
+      subTopics: Array.isArray(input.subTopics) ? input.subTopics.map(String).slice(0, 5) : [],
+      timeHorizon: TIME_HORIZONS.includes(input.timeHorizon) ? input.timeHorizon : 'unspecified',
+      chartData,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5,
+      apis: dataSources(chartData),
+      isComplex: message.split(' ').length > 10,
+      isGeneralOverview: input.intent === 'general_overview',
+      source: 'llm'
+    };
+  }
+}
+
+module.exports = new IntentRouter();
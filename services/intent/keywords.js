@@ -0,0 +1,127 @@
+// Keyword classifier - the offline fallback when the LLM router is disabled,
+// unconfigured or fails. Scores each intent by the keywords found in the
+// query; a tie goes to the intent listed first, so the specific ones (travel,
+// marriage, a named relative) come before the topics they are usually asked
+// about with (work, study, love) and general is last.
+// Keywords match whole words; a trailing * marks a stem ('relocat*' matches
+// relocate and relocation) and a space a phrase ('move to'). Native-script
+// keywords are always stems, as those languages add case endings to the word.
+
+const { DEFAULT_CHART_DATA, dataSources } = require('./taxonomy');
+
+const KEYWORDS = {
+  travel: ['abroad', 'foreign*', 'travel*', 'visa', 'settle*', 'relocat*', 'immigrat*', 'overseas', 'usa', 'canada', 'dubai', 'move to', 'moving to', 'another city', 'videsh'],
+  marriage: ['marry', 'marri*', 'wedding*', 'spouse*', 'husband*', 'wife', 'partner*', 'arranged', 'manglik', 'shaadi', 'vivah'],
+  family: ['family', 'families', 'father*', 'mother*', 'brother*', 'sister*', 'parent*', 'sibling*', 'child*', 'kid', 'kids', 'son', 'daughter*', 'bacche', 'parivar'],
+  love: ['love*', 'romanc*', 'romantic*', 'relationship*', 'dating', 'boyfriend*', 'girlfriend*', 'crush*', 'attraction', 'pyaar', 'pyar'],
+  career: ['career*', 'job*', 'work*', 'profession*', 'business*', 'startup*', 'success*', 'promot*', 'office', 'boss', 'naukri'],
+  money: ['money', 'wealth*', 'financ*', 'income', 'salary', 'profit*', 'rich', 'earn*', 'invest*', 'stock*', 'trading', 'loan*', 'debt*', 'gold', 'property', 'dhan', 'paisa', 'paise'],
+  health: ['health*', 'disease*', 'ill', 'illness*', 'fitness', 'medical', 'body', 'pain*', 'heal*', 'surgery', 'surgeries', 'accident*', 'injur*', 'immun*', 'anxi*', 'stress*', 'sleep*', 'swasthya'],
+  education: ['stud*', 'exam', 'exams', 'educat*', 'college*', 'degree*', 'universit*', 'admission*', 'school*', 'stream', '10th', '12th', 'mba', 'masters', 'phd', 'padhai'],
+  general: ['life', 'future', 'destiny', 'general', 'overall', 'horoscope*', 'kundli', 'jyotish']
+};
+
+// The same intents in Hindi, Marathi, Tamil, Telugu and Bengali script
+const NATIVE_KEYWORDS = {
+  travel: ['विदेश', 'परदेश', 'வெளிநாடு', 'విదేశం', 'বিদেশ'],
+  marriage: ['शादी', 'विवाह', 'लग्न', 'திருமண', 'పెళ్లి', 'వివాహ', 'বিয়ে', 'বিবাহ'],
+  family: ['परिवार', 'कुटुंब', 'குடும்ப', 'కుటుంబ', 'পরিবার'],
+  love: ['प्यार', 'प्रेम', 'காதல்', 'ప్రేమ', 'ভালোবাসা', 'প্রেম'],
+  career: ['नौकरी', 'नोकरी', 'करियर', 'व्यवसाय', 'வேலை', 'தொழில்', 'ఉద్యోగ', 'వృత్తి', 'চাকরি', 'ব্যবসা'],
+  money: ['पैसा', 'पैसे', 'धन', 'பணம்', 'செல்வம்', 'డబ్బు', 'ধন', 'টাকা'],
+  health: ['स्वास्थ्य', 'आरोग्य', 'बीमारी', 'ஆரோக்கிய', 'உடல்நல', 'ఆరోగ్య', 'স্বাস্থ্য'],
+  education: ['पढ़ाई', 'शिक्षा', 'शिक्षण', 'परीक्षा', 'படிப்பு', 'தேர்வு', 'చదువు', 'పరీక్ష', 'পড়াশোনা', 'পরীক্ষা'],
+  general: ['कुंडली', 'भविष्य', 'ஜாதக', 'జాతక', 'কুষ্ঠি', 'ভবিষ্যৎ']
+};
+
+// Words of any script; apostrophes and hyphens split ("father's" -> father, s)
+const tokenize = text => text.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+
+// Whether a keyword (word, stem* or phrase) occurs in the query's words
+function matches(keyword, words, { stem = false } = {}) {
+  if (keyword.includes(' ')) {
+    const phrase = keyword.split(' ');
+    return words.some((word, index) => phrase.every((part, offset) => words[index + offset] === part));
+  }
+  if (stem || keyword.endsWith('*')) {
+    const prefix = keyword.replace(/\*$/, '');
+    return words.some(word => word.startsWith(prefix));
+  }
+  return words.includes(keyword);
+}
+
+// Keyword hits that make the fallback fully confident
+const FULL_CONFIDENCE_HITS = 2;
+
+const TIME_PATTERNS = [
+  ['now', /\b(today|tonight|this week|right now|currently|aaj|abhi)\b/],
+  ['next_3_months', /\b(this month|next month|coming months?|next few months|is mahine|agle mahine)\b/],
+  ['this_year', /\b(this year|is saal|is varsh|20\d\d)\b/],
+  ['next_1_3_years', /\b(next year|coming years|next (two|three|2|3) years|agle saal)\b/],
+  ['long_term', /\b(ever|lifetime|whole life|long term|zindagi)\b/],
+  ['past', /\b(past|last year|previous|pichle)\b/]
+];
+
+// Requests for a reading of the whole chart rather than one topic
+const OVERVIEW_PATTERNS = [
+  /\bgeneral\b.*\b(overview|reading)\b/,
+  /\b(overall|complete|full) (analysis|reading|overview)\b/,
+  /\beverything about my (chart|kundli|horoscope|birth chart)\b/
+];
+
+function timeHorizon(queryLower) {
+  const found = TIME_PATTERNS.find(([, pattern]) => pattern.test(queryLower));
+  return found ? found[0] : 'unspecified';
+}
+
+// ✅ Same result shape as the LLM router, with source 'keywords'
+function classifyByKeywords(query) {
+  const queryLower = query.toLowerCase();
+
+  // Check for general overview request
+  if (OVERVIEW_PATTERNS.some(pattern => pattern.test(queryLower))) {
+    return {
+      intent: 'general_overview',
+      subTopics: [],
+      timeHorizon: 'unspecified',
+      chartData: DEFAULT_CHART_DATA.general_overview,
+      confidence: 1.0,
+      apis: dataSources(DEFAULT_CHART_DATA.general_overview),
+      isComplex: false,
+      isGeneralOverview: true,
+      source: 'keywords'
+    };
+  }
+
+  const words = tokenize(query);
+  let bestIntent = 'general';
+  let bestMatches = [];
+
+  Object.entries(KEYWORDS).forEach(([intent, keywords]) => {
+    const matched = [
+      ...keywords.filter(keyword => matches(keyword, words)),
+      ...NATIVE_KEYWORDS[intent].filter(keyword => matches(keyword, words, { stem: true }))
+    ];
+
+    if (matched.length > bestMatches.length) {
+      bestIntent = intent;
+      bestMatches = matched;
+    }
+  });
+
+  const confidence = Math.min(1, bestMatches.length / FULL_CONFIDENCE_HITS);
+
+  return {
+    intent: bestIntent,
+    subTopics: bestMatches.map(keyword => keyword.replace(/\*$/, '')),
+    timeHorizon: timeHorizon(queryLower),
+    chartData: DEFAULT_CHART_DATA[bestIntent],
+    confidence,
+    apis: dataSources(DEFAULT_CHART_DATA[bestIntent]),
+    isComplex: query.split(' ').length > 10,
+    isGeneralOverview: false,
+    source: 'keywords'
+  };
+}
+
+module.exports = { classifyByKeywords, KEYWORDS, NATIVE_KEYWORDS };
@@ -0,0 +1,56 @@
+// Labels shared by the LLM router, the keyword fallback and the eval script.
+
+const INTENTS = [
+  'general_overview',
+  'marriage',
+  'love',
+  'career',
+  'money',
+  'health',
+  'family',
+  'education',
+  'travel',
+  'general'
+];
+
+const TIME_HORIZONS = ['past', 'now', 'next_3_months', 'this_year', 'next_1_3_years', 'long_term', 'unspecified'];
+
+// Chart data a question can need, beyond the D1 placements every answer gets.
+// Key order is the order the sources appear in the prompt.
+const CHART_DATA = {
+  'planetary-positions': 'D1 planetary positions (always included)',
+  'basic-astro-details': 'Lagna, Moon sign and nakshatra',
+  dasha: 'Upcoming Vimshottari antardashas in more depth, for "when" questions',
+  yogas: 'Classical yogas (Raja, Dhana, Gajakesari, Pancha Mahapurusha...)',
+  navamsa: 'D9 chart, for marriage, spouse and dharma',
+  dasamsa: 'D10 chart, for career and profession',
+  manglik: 'Mars (Manglik) dosha check',
+  transits: 'Current Saturn/Jupiter/Rahu/Ketu transits (gochar) over the natal chart',
+  'sade-sati': 'Saturn sade sati status'
+};
+
+// What each intent reads when the router gives no (usable) chartData
+const DEFAULT_CHART_DATA = {
+  general_overview: ['planetary-positions', 'basic-astro-details', 'yogas', 'sade-sati'],
+  marriage: ['planetary-positions', 'basic-astro-details', 'dasha', 'navamsa', 'manglik'],
+  love: ['planetary-positions', 'basic-astro-details', 'navamsa', 'transits'],
+  career: ['planetary-positions', 'basic-astro-details', 'dasha', 'yogas', 'dasamsa', 'transits'],
+  money: ['planetary-positions', 'basic-astro-details', 'dasha', 'yogas'],
+  health: ['planetary-positions', 'basic-astro-details', 'dasha', 'transits', 'sade-sati'],
+  family: ['planetary-positions', 'basic-astro-details', 'dasha'],
+  education: ['planetary-positions', 'basic-astro-details', 'dasha', 'yogas'],
+  travel: ['planetary-positions', 'basic-astro-details', 'dasha', 'transits'],
+  general: ['planetary-positions', 'basic-astro-details', 'dasha', 'yogas', 'transits']
+};
+
+// Astrology provider endpoints fetched for every question
+const BASE_APIS = ['planetary-positions', 'basic-astro-details'];
+
+// ✅ Endpoints and derived sources to fetch for the chart data a question needs.
+// The dasha is computed for every answer, so it is never fetched.
+function dataSources(chartData) {
+  return Object.keys(CHART_DATA)
+    .filter(source => source !== 'dasha' && (BASE_APIS.includes(source) || chartData.includes(source)));
+}
+
+module.exports = { INTENTS, TIME_HORIZONS, CHART_DATA, DEFAULT_CHART_DATA, BASE_APIS, dataSources };
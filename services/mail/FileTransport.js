@@ -0,0 +1,35 @@
+// Development sink: renders each message (attachments included) to an .eml
+// file in MAIL_OUTBOX_DIR (default <DATA_DIR>/mail-outbox) instead of sending it.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { dataPath } = require('../dataDir');
+
+class FileTransport {
+  constructor() {
+    this.name = 'file';
+    this.composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  get directory() {
+    return process.env.MAIL_OUTBOX_DIR || dataPath('mail-outbox');
+  }
+
+  async send(message) {
+    const info = await this.composer.sendMail(message);
+    const slug = String(message.to).replace(/[^a-z0-9]+/gi, '_');
+    const location = path.join(this.directory, `${Date.now()}-${slug}.eml`);
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(location, info.message);
+
+    return { messageId: info.messageId, location };
+  }
+}
+
+module.exports = FileTransport;
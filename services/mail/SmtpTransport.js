@@ -0,0 +1,39 @@
+// SMTP delivery through nodemailer.
+// SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for port 465), SMTP_USER, SMTP_PASS.
+
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return !!process.env.SMTP_HOST;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const port = parseInt(process.env.SMTP_PORT) || 587;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(message) {
+    if (!this.isConfigured()) {
+      throw new Error('SMTP is not configured - set SMTP_HOST');
+    }
+
+    const info = await this.getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,54 @@
+// Outgoing email.
+// MAIL_TRANSPORT picks the transport (smtp or file); it defaults to smtp when
+// SMTP_HOST is set and to the file sink otherwise, which writes every message
+// as an .eml file to MAIL_OUTBOX_DIR for local development.
+
+require('dotenv').config();
+
+const SmtpTransport = require('./SmtpTransport');
+const FileTransport = require('./FileTransport');
+
+// A transport is any object with
+//   name, isConfigured(), async send(message)
+// where message is { from, to, subject, text, html, attachments } in
+// nodemailer's format and send resolves to { messageId, location? }.
+class MailService {
+  constructor() {
+    this.transports = new Map();
+
+    this.registerTransport(new SmtpTransport());
+    this.registerTransport(new FileTransport());
+  }
+
+  registerTransport(transport) {
+    this.transports.set(transport.name, transport);
+  }
+
+  getTransport(name) {
+    const transport = this.transports.get(name);
+    if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+    return transport;
+  }
+
+  get transport() {
+    if (process.env.MAIL_TRANSPORT) return this.getTransport(process.env.MAIL_TRANSPORT);
+
+    const smtp = this.getTransport('smtp');
+    return smtp.isConfigured() ? smtp : this.getTransport('file');
+  }
+
+  get from() {
+    return process.env.MAIL_FROM || 'ChatAstro <reports@chatastro.ai>';
+  }
+
+  // ✅ Send through the active transport - throws so callers (jobs) can retry
+  async send(message) {
+    const transport = this.transport;
+    const result = await transport.send({ from: this.from, ...message });
+
+    console.log(`📧 Mail "${message.subject}" sent to ${message.to} via ${transport.name}`);
+    return { transport: transport.name, ...result };
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,28 @@
+// Development provider: prints the code to the server console and, when
+// OTP_LOG_FILE is set, appends it to that file instead of sending an SMS.
+
+const fs = require('fs');
+
+class ConsoleProvider {
+  constructor() {
+    this.name = 'console';
+    this.isDemo = true;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(mobile, code, { countryCode = '91' } = {}) {
+    const line = `${new Date().toISOString()} +${countryCode} ${mobile} ${code}`;
+    console.log(`🧪 Demo OTP for +${countryCode} ${mobile}: ${code}`);
+
+    if (process.env.OTP_LOG_FILE) {
+      fs.appendFileSync(process.env.OTP_LOG_FILE, `${line}\n`);
+    }
+
+    return { reference: null };
+  }
+}
+
+module.exports = ConsoleProvider;
@@ -0,0 +1,46 @@
+// MSG91 OTP API (control.msg91.com). We generate the code ourselves and pass
+// it in, so MSG91 only delivers it; verification stays on our side.
+
+require('dotenv').config();
+
+const fetch = require('node-fetch');
+
+class Msg91Provider {
+  constructor() {
+    this.name = 'msg91';
+    this.isDemo = false;
+    this.baseUrl = 'https://control.msg91.com/api/v5/otp';
+  }
+
+  isConfigured() {
+    return !!process.env.MSG91_AUTH_KEY && !!process.env.MSG91_TEMPLATE_ID;
+  }
+
+  async send(mobile, code, { countryCode = '91', expiryMinutes = 5 } = {}) {
+    const params = new URLSearchParams({
+      template_id: process.env.MSG91_TEMPLATE_ID,
+      mobile: `${countryCode}${mobile}`,
+      otp: code,
+      otp_expiry: String(expiryMinutes)
+    });
+    if (process.env.MSG91_SENDER_ID) params.append('sender', process.env.MSG91_SENDER_ID);
+
+    const response = await fetch(`${this.baseUrl}?${params.toString()}`, {
+      method: 'POST',
+      headers: {
+        'authkey': process.env.MSG91_AUTH_KEY,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.type !== 'success') {
+      throw new Error(`MSG91 error: ${response.status} ${data.message || response.statusText}`);
+    }
+
+    return { reference: data.request_id || null };
+  }
+}
+
+module.exports = Msg91Provider;
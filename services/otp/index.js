@@ -0,0 +1,184 @@
+// One-time passwords for mobile login.
+// OTP_PROVIDER picks how codes are delivered (msg91 or console); it defaults
+// to msg91 when MSG91_AUTH_KEY and MSG91_TEMPLATE_ID are set and to the
+// console provider otherwise (or when ENABLE_DEMO_OTP=true).
+// Codes are stored only as salted SHA-256 hashes in `otp_codes`, one record
+// per mobile, together with the counters for cooldowns and attempt limits.
+// Accounts and codes are keyed by the bare 10-digit Indian number, so codes
+// only ever go to +91 - delivering elsewhere would let the holder of the same
+// digits abroad log in to the Indian account.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const storage = require('../storage');
+const Msg91Provider = require('./Msg91Provider');
+const ConsoleProvider = require('./ConsoleProvider');
+
+const CODE_LENGTH = 4;
+const EXPIRY_MS = 5 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 30 * 1000;
+const MAX_ATTEMPTS = 5;
+const MAX_SENDS_PER_HOUR = 5;
+const HOUR_MS = 60 * 60 * 1000;
+const COUNTRY_CODE = '91';
+
+// A provider is any object with
+//   name, isDemo, isConfigured(), async send(mobile, code, { countryCode, expiryMinutes })
+class OTPService {
+  constructor() {
+    this.codes = storage.collection('otp_codes');
+    this.providers = new Map();
+
+    this.registerProvider(new Msg91Provider());
+    this.registerProvider(new ConsoleProvider());
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Unknown OTP provider "${name}"`);
+    return provider;
+  }
+
+  get provider() {
+    if (process.env.OTP_PROVIDER) return this.getProvider(process.env.OTP_PROVIDER);
+    if (process.env.ENABLE_DEMO_OTP === 'true') return this.getProvider('console');
+
+    const msg91 = this.getProvider('msg91');
+    return msg91.isConfigured() ? msg91 : this.getProvider('console');
+  }
+
+  hashCode(mobile, code, salt) {
+    return crypto.createHash('sha256').update(`${salt}:${mobile}:${code}`).digest('hex');
+  }
+
+  // ✅ Generate, deliver and store a new code (enforces cooldown and hourly limit)
+  async sendOTP(mobile) {
+    const now = Date.now();
+    const record = this.codes.get(mobile);
+
+    if (record && now - record.lastSentAt < RESEND_COOLDOWN_MS) {
+      const retryAfter = Math.ceil((record.lastSentAt + RESEND_COOLDOWN_MS - now) / 1000);
+      return {
+        success: false,
+        status: 429,
+        message: `Please wait ${retryAfter} seconds before requesting a new OTP`,
+        retryAfter
+      };
+    }
+
+    const windowOpen = record && now - record.sendWindowStart < HOUR_MS;
+    const sendCount = windowOpen ? record.sendCount : 0;
+    if (sendCount >= MAX_SENDS_PER_HOUR) {
+      const retryAfter = Math.ceil((record.sendWindowStart + HOUR_MS - now) / 1000);
+      return {
+        success: false,
+        status: 429,
+        message: 'Too many OTP requests. Please try again later.',
+        retryAfter
+      };
+    }
+
+    const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+    const provider = this.provider;
+    await provider.send(mobile, code, { countryCode: COUNTRY_CODE, expiryMinutes: EXPIRY_MS / 60000 });
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const expiryTime = now + EXPIRY_MS;
+
+    this.codes.set(mobile, {
+      mobile,
+      codeHash: this.hashCode(mobile, code, salt),
+      salt,
+      expiresAt: expiryTime,
+      attempts: 0,
+      lastSentAt: now,
+      sendWindowStart: windowOpen ? record.sendWindowStart : now,
+      sendCount: sendCount + 1,
+      verifiedAt: null,
+      provider: provider.name
+    });
+
+    return {
+      success: true,
+      message: 'OTP sent successfully',
+      mobile,
+      expiryTime,
+      isDemo: provider.isDemo
+    };
+  }
+
+  // ✅ Send a fresh code to a number that already requested one
+  async resendOTP(mobile) {
+    const record = this.codes.get(mobile);
+    if (!record) {
+      return { success: false, status: 400, message: 'No OTP was requested for this number' };
+    }
+
+    return this.sendOTP(mobile);
+  }
+
+  // ✅ Check a code - single use, limited attempts
+  async verifyOTP(mobile, otp) {
+    const record = this.codes.get(mobile);
+
+    if (!record || !record.codeHash) {
+      return { success: false, status: 400, message: 'No active OTP. Please request a new one.' };
+    }
+
+    if (Date.now() > record.expiresAt) {
+      return { success: false, status: 400, message: 'OTP has expired. Please request a new one.' };
+    }
+
+    if (record.attempts >= MAX_ATTEMPTS) {
+      return { success: false, status: 429, message: 'Too many incorrect attempts. Please request a new OTP.' };
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(mobile, String(otp).trim(), record.salt), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const attempts = record.attempts + 1;
+      this.codes.set(mobile, { ...record, attempts });
+
+      const attemptsLeft = MAX_ATTEMPTS - attempts;
+      return {
+        success: false,
+        status: 400,
+        message: attemptsLeft > 0
+          ? `Invalid OTP. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`
+          : 'Too many incorrect attempts. Please request a new OTP.',
+        attemptsLeft
+      };
+    }
+
+    this.codes.set(mobile, { ...record, codeHash: null, salt: null, verifiedAt: Date.now() });
+
+    return { success: true, message: 'OTP verified successfully', mobile };
+  }
+
+  // ✅ Debug view of a number's OTP state (never includes the code)
+  getOTPStatus(mobile) {
+    const record = this.codes.get(mobile);
+    if (!record) return { exists: false };
+
+    const now = Date.now();
+    return {
+      exists: true,
+      provider: record.provider,
+      active: !!record.codeHash && now <= record.expiresAt,
+      expiresAt: new Date(record.expiresAt).toISOString(),
+      attemptsLeft: Math.max(0, MAX_ATTEMPTS - record.attempts),
+      canResendAt: new Date(record.lastSentAt + RESEND_COOLDOWN_MS).toISOString(),
+      sendsThisHour: now - record.sendWindowStart < HOUR_MS ? record.sendCount : 0,
+      verifiedAt: record.verifiedAt ? new Date(record.verifiedAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = new OTPService();
+module.exports.COUNTRY_CODE = COUNTRY_CODE;
@@ -0,0 +1,208 @@
+// Offline gazetteer for birth places - GeoNames-style cities with coordinates,
+// IANA timezone, alternate spellings and Hindi names (cities.tsv, or the file
+// at PLACES_GAZETTEER_PATH, e.g. one built by scripts/build-gazetteer.js).
+// Search is accent- and punctuation-insensitive, tolerates small typos and
+// ranks exact > prefix > word prefix > fuzzy, then by population.
+// "City, State" or "City, Country" narrows the match.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+
+const GAZETTEER_PATH = process.env.PLACES_GAZETTEER_PATH || path.join(__dirname, 'cities.tsv');
+
+const MATCH_SCORES = { exact: 100, prefix: 80, word: 70, fuzzy: 60 };
+
+// Lowercase, strip Latin accents and the Devanagari nukta, collapse punctuation
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f\u093c]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+const slugify = text => normalize(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Edit distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+class PlaceNotFoundError extends Error {
+  constructor(message, suggestions = []) {
+    super(message);
+    this.name = 'PlaceNotFoundError';
+    this.suggestions = suggestions;
+  }
+}
+
+// Typos allowed for a query of this length
+const allowedTypos = length => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+class PlaceService {
+  constructor() {
+    this.places = [];
+    this.byId = new Map();
+    this.load(GAZETTEER_PATH);
+  }
+
+  load(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    lines.forEach(line => {
+      if (!line.trim() || line.startsWith('#')) return;
+
+      const [name, asciiName, alternateNames, latitude, longitude, countryCode, country, admin1, population, timezone] = line.split('\t');
+      let id = slugify([asciiName || name, admin1, countryCode].filter(Boolean).join(' '));
+      if (this.byId.has(id)) id = `${id}-${this.places.length}`;
+
+      const names = [name, asciiName, ...(alternateNames ? alternateNames.split(',') : [])];
+      const place = {
+        id,
+        name,
+        admin1: admin1 || null,
+        country,
+        countryCode,
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        timezone,
+        population: Number(population) || 0,
+        names,
+        keys: [...new Set(names.map(normalize).filter(Boolean))],
+        qualifiers: [admin1, country, countryCode].filter(Boolean).map(normalize)
+      };
+
+      this.places.push(place);
+      this.byId.set(id, place);
+    });
+
+    console.log(`🗺️ Gazetteer loaded: ${this.places.length} places`);
+  }
+
+  // Best way `query` matches one of the place's names, or null
+  match(place, query) {
+    const maxTypos = allowedTypos(query.length);
+    let best = null;
+
+    place.keys.forEach(key => {
+      let kind = null;
+      let distance = 0;
+
+      if (key === query) {
+        kind = 'exact';
+      } else if (key.startsWith(query)) {
+        kind = 'prefix';
+      } else if (key.split(' ').some(word => word.startsWith(query))) {
+        kind = 'word';
+      } else if (maxTypos > 0) {
+        // Whole name, or the start of it while the user is still typing
+        distance = Math.min(
+          editDistance(query, key, maxTypos),
+          editDistance(query, key.substring(0, query.length), maxTypos)
+        );
+        if (distance <= maxTypos) kind = 'fuzzy';
+      }
+
+      if (!kind) return;
+      const score = MATCH_SCORES[kind] - distance * 10;
+      if (!best || score > best.score) {
+        best = { kind, score, distance, matchedName: place.names.find(name => normalize(name) === key) };
+      }
+    });
+
+    return best;
+  }
+
+  // Scored matches, best first; `qualified` is false when a ", State" or
+  // ", Country" part of the query names somewhere else
+  rank(text) {
+    const [cityPart, ...qualifierParts] = String(text || '').split(',');
+    const query = normalize(cityPart);
+    const qualifiers = qualifierParts.map(normalize).filter(Boolean);
+    if (!query) return [];
+
+    const results = [];
+    this.places.forEach(place => {
+      const found = this.match(place, query);
+      if (!found) return;
+
+      // A state or country the place isn't in pushes it down, not out
+      const qualified = qualifiers.every(qualifier =>
+        place.qualifiers.some(known => known.startsWith(qualifier)));
+      results.push({ place, query, ...found, qualified, score: found.score - (qualified ? 0 : 30) });
+    });
+
+    return results.sort((a, b) => b.score - a.score || b.place.population - a.place.population);
+  }
+
+  // ✅ Ranked places for an autocomplete query like "bangalor" or "Aurangabad, Maharashtra"
+  search(text, { limit = 8 } = {}) {
+    return this.rank(text)
+      .slice(0, limit)
+      .map(result => ({ ...this.format(result.place, result.matchedName), match: result.kind }));
+  }
+
+  // ✅ Resolve free text to a single place - only when the match is safe to
+  // build a chart on: an exact name, or the one place within a typo of it
+  lookup(text) {
+    const [best, second] = this.rank(text);
+    if (!best || !best.qualified) return null;
+
+    if (best.kind === 'exact') return this.format(best.place, best.matchedName);
+
+    const nearMiss = result => result && result.qualified && result.query.length >= 5 &&
+      result.place.keys.some(key => editDistance(result.query, key, 1) <= 1);
+
+    return nearMiss(best) && !nearMiss(second) ? this.format(best.place, best.matchedName) : null;
+  }
+
+  get(id) {
+    const place = this.byId.get(id);
+    return place ? this.format(place) : null;
+  }
+
+  format(place, matchedName = null) {
+    return {
+      id: place.id,
+      name: place.name,
+      label: [place.name, place.admin1 !== place.name ? place.admin1 : null, place.country].filter(Boolean).join(', '),
+      matchedName: matchedName && normalize(matchedName) !== normalize(place.name) ? matchedName : null,
+      admin1: place.admin1,
+      country: place.country,
+      countryCode: place.countryCode,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      timezone: place.timezone,
+      population: place.population
+    };
+  }
+
+  get size() {
+    return this.places.length;
+  }
+}
+
+module.exports = new PlaceService();
+module.exports.PlaceNotFoundError = PlaceNotFoundError;
+module.exports.normalize = normalize;
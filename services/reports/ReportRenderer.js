@@ -0,0 +1,215 @@
+// Branded PDF for the full report, laid out with pdfkit.
+// The built-in Helvetica only covers Latin-1, so Claude's text is cleaned of
+// emojis and markdown markers before it is written.
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const PURPLE = '#4a148c';
+const GOLD = '#ffb300';
+const INK = '#222222';
+const MUTED = '#777777';
+
+// House centres of the North Indian chart on a 300x300 grid (same layout as the web chart)
+const NORTH_HOUSE_CENTERS = [
+  [150, 80], [75, 30], [30, 75], [80, 150], [30, 225], [75, 270],
+  [150, 220], [225, 270], [270, 225], [220, 150], [270, 75], [225, 30]
+];
+
+function cleanText(text) {
+  return String(text || '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\t\n\r\x20-\x7e\xa0-\xff•]/g, '')
+    .replace(/\*\*|__/g, '');
+}
+
+// Claude answers in light markdown: headings, bullets and paragraphs
+function markdownBlocks(text) {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+
+  cleanText(text).split('\n').forEach(raw => {
+    const line = raw.trim();
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    const bullet = line.match(/^(?:[-*•]|(\d+)\.)\s+(.*)$/);
+
+    if (!line) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', text: heading[1] });
+    } else if (bullet) {
+      flush();
+      blocks.push({ type: 'bullet', marker: bullet[1] ? `${bullet[1]}.` : '•', text: bullet[2] });
+    } else {
+      paragraph.push(line);
+    }
+  });
+  flush();
+
+  return blocks;
+}
+
+function pageTitle(doc, title) {
+  doc.fillColor(PURPLE).font('Helvetica-Bold').fontSize(20).text(cleanText(title));
+  const y = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.margins.left + 80, y).lineWidth(2).strokeColor(GOLD).stroke();
+  doc.moveDown(1.2);
+}
+
+function coverPage(doc, report) {
+  const { width, height } = doc.page;
+  doc.rect(0, 0, width, height).fill(PURPLE);
+
+  doc.fillColor(GOLD).font('Helvetica-Bold').fontSize(40).text('ChatAstro', 0, 220, { align: 'center' });
+  doc.fillColor('white').font('Helvetica').fontSize(18).text('Complete Vedic Astrology Report', { align: 'center' });
+  doc.moveDown(3);
+  doc.fillColor(GOLD).font('Helvetica-Bold').fontSize(26).text(cleanText(report.name), { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fillColor('white').font('Helvetica').fontSize(12).text(cleanText(report.birthLine), { align: 'center' });
+
+  doc.fontSize(10).fillColor(GOLD)
+    .text(`Prepared on ${report.generatedOn}`, 0, height - 120, { align: 'center' })
+    .text('chatastro.ai', { align: 'center' });
+}
+
+function drawNorthChart(doc, chart, originX, originY) {
+  const size = 300;
+  doc.save().lineWidth(1.2).strokeColor(PURPLE);
+  doc.rect(originX, originY, size, size).stroke();
+  doc.moveTo(originX, originY).lineTo(originX + size, originY + size).stroke();
+  doc.moveTo(originX + size, originY).lineTo(originX, originY + size).stroke();
+  doc.polygon(
+    [originX + size / 2, originY],
+    [originX + size, originY + size / 2],
+    [originX + size / 2, originY + size],
+    [originX, originY + size / 2]
+  ).stroke();
+  doc.restore();
+
+  chart.houses.forEach((house, index) => {
+    const [cx, cy] = NORTH_HOUSE_CENTERS[index];
+    const labels = house.planets.map(planet => planet.abbr + (planet.isRetrograde ? '(R)' : ''));
+
+    doc.fillColor(MUTED).font('Helvetica').fontSize(8)
+      .text(String(house.sign), originX + cx - 20, originY + cy - 16, { width: 40, align: 'center' });
+    doc.fillColor(INK).font('Helvetica-Bold').fontSize(9)
+      .text(labels.join(' '), originX + cx - 30, originY + cy - 5, { width: 60, align: 'center' });
+  });
+}
+
+function chartPage(doc, report) {
+  doc.addPage();
+  pageTitle(doc, 'Birth Details & Lagna Chart');
+
+  report.birthDetails.forEach(([label, value]) => {
+    doc.fillColor(MUTED).font('Helvetica').fontSize(11).text(`${label}: `, { continued: true })
+      .fillColor(INK).font('Helvetica-Bold').text(cleanText(value));
+  });
+
+  doc.moveDown(1.5);
+  const originX = (doc.page.width - 300) / 2;
+  drawNorthChart(doc, report.chart, originX, doc.y);
+  doc.y += 320;
+
+  const { ascendant } = report.chart;
+  doc.fillColor(INK).font('Helvetica').fontSize(11)
+    .text(`Lagna: ${ascendant.signName} ${ascendant.degree}°${ascendant.nakshatra ? ` (${ascendant.nakshatra})` : ''}`, doc.page.margins.left, doc.y, { align: 'center' });
+
+  const planets = report.chart.houses.flatMap(house => house.planets.map(planet => ({ ...planet, house: house.house, signName: house.signName })));
+  doc.moveDown(1);
+  planets.forEach(planet => {
+    doc.fontSize(10).fillColor(INK)
+      .text(`${planet.name}${planet.isRetrograde ? ' (R)' : ''}: ${planet.signName} ${planet.degree}°, house ${planet.house}${planet.nakshatra ? `, ${planet.nakshatra}` : ''}`);
+  });
+}
+
+function dashaPage(doc, report) {
+  doc.addPage();
+  pageTitle(doc, 'Vimshottari Dasha Periods');
+
+  if (report.currentDasha) {
+    doc.fillColor(INK).font('Helvetica').fontSize(11).text(cleanText(report.currentDasha));
+    doc.moveDown(1);
+  }
+
+  report.dashaRows.forEach(row => {
+    doc.fillColor(row.isCurrent ? PURPLE : INK)
+      .font(row.isCurrent ? 'Helvetica-Bold' : 'Helvetica')
+      .fontSize(11)
+      .text(`${row.lord} Mahadasha: ${row.start} to ${row.end}${row.isCurrent ? '  (running)' : ''}`);
+    doc.moveDown(0.3);
+  });
+}
+
+function sectionPage(doc, section) {
+  doc.addPage();
+  pageTitle(doc, section.title);
+
+  markdownBlocks(section.text).forEach(block => {
+    if (block.type === 'heading') {
+      doc.moveDown(0.4).fillColor(PURPLE).font('Helvetica-Bold').fontSize(13).text(block.text);
+      doc.moveDown(0.3);
+    } else if (block.type === 'bullet') {
+      doc.fillColor(INK).font('Helvetica').fontSize(11)
+        .text(`${block.marker} ${block.text}`, { indent: 12, lineGap: 2 });
+      doc.moveDown(0.2);
+    } else {
+      doc.fillColor(INK).font('Helvetica').fontSize(11).text(block.text, { align: 'justify', lineGap: 3 });
+      doc.moveDown(0.7);
+    }
+  });
+}
+
+// Page numbers on every page but the cover
+function footers(doc, report) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start + 1; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fillColor(MUTED).font('Helvetica').fontSize(8).text(
+      `ChatAstro  •  ${cleanText(report.name)}  •  Page ${index + 1} of ${range.count}`,
+      0,
+      doc.page.height - 30,
+      { align: 'center', width: doc.page.width }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// ✅ Write the report PDF to filePath; resolves with the page count
+function renderReport(report, filePath) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      bufferPages: true,
+      info: { Title: `ChatAstro Report - ${cleanText(report.name)}`, Author: 'ChatAstro' }
+    });
+    const output = fs.createWriteStream(filePath);
+
+    output.on('finish', () => resolve({ pages: pageCount }));
+    output.on('error', reject);
+    doc.on('error', reject);
+    doc.pipe(output);
+
+    coverPage(doc, report);
+    chartPage(doc, report);
+    dashaPage(doc, report);
+    report.sections.forEach(section => sectionPage(doc, section));
+    footers(doc, report);
+
+    const pageCount = doc.bufferedPageRange().count;
+    doc.end();
+  });
+}
+
+module.exports = { renderReport, markdownBlocks };
@@ -0,0 +1,260 @@
+// Full astrology reports for the ₹999 `report` plan.
+// A paid report order queues `report.generate`: gather the chart data, write
+// every section with Claude and render the PDF into REPORTS_DIR (default
+// <DATA_DIR>/reports, which is never served - downloads go through the signed
+// link). Sections are saved as they are written, so a retried job continues
+// where it stopped.
+// A ready report queues `report.email`, which mails the PDF and a signed
+// download link without regenerating anything when delivery is retried.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const storage = require('../storage');
+const JobQueue = require('../JobQueue');
+const MailService = require('../mail');
+const ClaudeService = require('../ClaudeService');
+const AstrologyService = require('../astrology');
+const ResponseValidator = require('../ResponseValidator');
+const TokenService = require('../TokenService');
+const { renderReport } = require('./ReportRenderer');
+const { dataPath } = require('../dataDir');
+
+const DOWNLOAD_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Where reports were written before DATA_DIR; still read for older reports
+const LEGACY_REPORTS_DIR = path.join(__dirname, '..', '..', 'reports');
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// User-supplied text (the profile name) placed in the HTML email
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+const SECTIONS = [
+  { key: 'personality', title: 'Personality & Lagna', focus: 'the ascendant, its lord and the Moon sign: temperament, strengths, challenges and how others see them' },
+  { key: 'career', title: 'Career & Profession', focus: 'the 10th house, its lord, the Sun and Saturn: suitable fields, growth periods and the timing of changes' },
+  { key: 'wealth', title: 'Wealth & Finances', focus: 'the 2nd and 11th houses, Jupiter and Venus: earning patterns, savings, investments and favourable periods' },
+  { key: 'relationships', title: 'Love & Marriage', focus: 'the 7th house, its lord and Venus/Jupiter: nature of the partner, timing of marriage and harmony' },
+  { key: 'health', title: 'Health & Vitality', focus: 'the 1st, 6th and 8th houses: constitution, sensitive areas and preventive care (no medical diagnoses)' },
+  { key: 'family', title: 'Family, Home & Children', focus: 'the 4th and 5th houses: parents, home life, property and children' },
+  { key: 'education', title: 'Education & Intellect', focus: 'Mercury, Jupiter and the 4th/5th houses: learning style, studies and skills' },
+  { key: 'spirituality', title: 'Spiritual Path', focus: 'the 9th and 12th houses, Jupiter and Ketu: dharma, spiritual inclinations and foreign travel' },
+  { key: 'forecast', title: 'Dasha Forecast', focus: 'the running and upcoming mahadasha/antardasha periods: what each brings, year by year for the next five years' },
+  { key: 'remedies', title: 'Remedies & Guidance', focus: 'gemstones, mantras, fasting days, charity and lifestyle remedies for the weaker planets in this chart' }
+];
+
+class ReportService {
+  constructor() {
+    this.reports = storage.collection('reports');
+    this.users = storage.collection('users');
+
+    JobQueue.register('report.generate', payload => this.generate(payload), {
+      onFailure: job => this.update(job.payload.reportId, { status: 'failed', error: job.lastError })
+    });
+    JobQueue.register('report.email', payload => this.email(payload), {
+      onFailure: job => this.update(job.payload.reportId, { emailError: job.lastError })
+    });
+  }
+
+  get directory() {
+    return process.env.REPORTS_DIR || dataPath('reports');
+  }
+
+  get(reportId) {
+    return this.reports.get(reportId) || null;
+  }
+
+  listForUser(userId) {
+    return this.reports.where('userId', userId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  update(reportId, changes) {
+    const report = this.get(reportId);
+    if (!report) return null;
+
+    const updated = { ...report, ...changes, updatedAt: new Date().toISOString() };
+    this.reports.set(reportId, updated);
+    return updated;
+  }
+
+  // ✅ Queue the report for a paid order - calling it again for the same order changes nothing
+  requestForOrder(order) {
+    return storage.transaction(() => {
+      const existing = this.reports.where('orderId', order.id)[0];
+      if (existing) return existing;
+
+      const now = new Date().toISOString();
+      const report = {
+        id: crypto.randomUUID(),
+        userId: order.userId,
+        orderId: order.id,
+        email: (order.userDetails && order.userDetails.email) || null,
+        status: 'queued',
+        sections: {},
+        createdAt: now,
+        updatedAt: now
+      };
+
+      this.reports.set(report.id, report);
+      JobQueue.enqueue('report.generate', { reportId: report.id }, { id: `report.generate:${report.id}` });
+
+      console.log(`📄 Report ${report.id} queued for order ${order.id}`);
+      return report;
+    });
+  }
+
+  filePath(report) {
+    const file = path.join(this.directory, report.file);
+    const legacy = path.join(LEGACY_REPORTS_DIR, report.file);
+    return !fs.existsSync(file) && fs.existsSync(legacy) ? legacy : file;
+  }
+
+  // ✅ Signed link that downloads the PDF without a session (sent by email)
+  downloadUrl(report) {
+    const { token } = TokenService.sign({ rid: report.id }, DOWNLOAD_LINK_TTL_MS);
+    const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return `${baseUrl}/api/reports/${report.id}/download?token=${token}`;
+  }
+
+  verifyDownloadToken(token, reportId) {
+    const claims = TokenService.verify(token);
+    return !!claims && claims.rid === reportId;
+  }
+
+  // Chart facts every section is written from
+  buildContext(user, chart, astroData, dashaSummary, facts) {
+    const { birthData } = user;
+    const placements = chart.houses
+      .flatMap(house => house.planets.map(planet =>
+        `- ${planet.name}${planet.isRetrograde ? ' (retrograde)' : ''}: ${house.signName} ${planet.degree}°, house ${house.house}${planet.nakshatra ? `, ${planet.nakshatra}` : ''}`))
+      .join('\n');
+    const basics = astroData['basic-astro-details'];
+
+    return `
+Native:
+- Name: ${user.fullName}
+- Gender: ${user.gender || 'not specified'}
+- Birth: ${birthData.birthDate} at ${AstrologyService.formatBirthTime(birthData)}, ${birthData.birthPlace}
+- Birth time: ${AstrologyService.birthTimeConfidence(birthData).label}
+- Age: ${facts.age}
+
+${chart.basis === 'moon' ? 'Chandra lagna (birth time unknown - houses counted from the Moon)' : 'Lagna'}: ${chart.ascendant.signName} ${chart.ascendant.degree}°${chart.ascendant.nakshatra ? ` (${chart.ascendant.nakshatra})` : ''}
+Planetary placements (whole-sign houses):
+${placements}
+
+Basic astro details: ${basics && !basics.error ? JSON.stringify(basics.data) : 'Not available'}
+
+Vimshottari Dasha (use these exact periods for timing):
+${dashaSummary}
+`;
+  }
+
+  async writeSection(section, context, facts) {
+    const { text } = await ClaudeService.createMessage({
+      max_tokens: 1800,
+      system: `You are an expert Vedic astrologer writing one chapter of a printed, personalised astrology report.
+Write about 600-900 words on ${section.focus}.
+Base every statement on the chart data provided and name the placements you are reading.
+Use short markdown subheadings (##) and paragraphs, bullets only for lists of remedies or dates.
+Do not use emojis, tables or a chapter title - the report adds its own.
+
+Facts (these are correct - never contradict them):
+${ResponseValidator.promptFacts(facts)}`,
+      messages: [{ role: 'user', content: `${context}\nWrite the "${section.title}" chapter.` }]
+    });
+
+    return text;
+  }
+
+  // ✅ report.generate job: chart data -> Claude sections -> PDF
+  async generate({ reportId }) {
+    const report = this.get(reportId);
+    if (!report) throw new Error(`Report ${reportId} not found`);
+    if (report.status === 'ready') return { file: report.file };
+
+    const user = this.users.get(report.userId);
+    if (!user) throw new Error(`User ${report.userId} not found`);
+
+    this.update(reportId, { status: 'generating' });
+
+    const { birthData } = user;
+    const astroData = await AstrologyService.fetchAstrologyData(birthData, ['planetary-positions', 'basic-astro-details']);
+    const chart = await AstrologyService.getD1Chart(birthData, astroData['planetary-positions']);
+    const timeline = AstrologyService.getDashaTimeline(birthData, { levels: 2 });
+    const dashaSummary = AstrologyService.summarizeDasha(timeline, { upcoming: 6 });
+    const facts = ResponseValidator.temporalFacts(birthData);
+    const context = this.buildContext(user, chart, astroData, dashaSummary, facts);
+
+    const sections = { ...report.sections };
+    for (const section of SECTIONS) {
+      if (sections[section.key]) continue;
+
+      sections[section.key] = await this.writeSection(section, context, facts);
+      this.update(reportId, { sections });
+      console.log(`📄 Report ${reportId}: "${section.title}" written`);
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    const file = `${reportId}.pdf`;
+    const { pages } = await renderReport({
+      name: user.fullName,
+      birthLine: `Born ${birthData.birthDate} at ${AstrologyService.formatBirthTime(birthData)} in ${birthData.birthPlace}`,
+      generatedOn: facts.todayLong,
+      birthDetails: [
+        ['Name', user.fullName],
+        ['Gender', user.gender || 'Not specified'],
+        ['Date of Birth', birthData.birthDate],
+        ['Time of Birth', birthData.birthTimeAccuracy === 'unknown' ? 'Unknown' : AstrologyService.formatBirthTime(birthData)],
+        ['Place of Birth', birthData.birthPlace],
+        ['Coordinates', `${Number(birthData.latitude).toFixed(2)}, ${Number(birthData.longitude).toFixed(2)}`]
+      ],
+      chart,
+      currentDasha: dashaSummary,
+      dashaRows: timeline.mahadashas.map(period => ({
+        lord: period.lord,
+        start: period.start.substring(0, 10),
+        end: period.end.substring(0, 10),
+        isCurrent: period.isCurrent
+      })),
+      sections: SECTIONS.map(section => ({ title: section.title, text: sections[section.key] }))
+    }, path.join(this.directory, file));
+
+    const ready = this.update(reportId, { status: 'ready', file, pages, readyAt: new Date().toISOString(), error: null });
+    console.log(`✅ Report ${reportId} ready (${pages} pages)`);
+
+    if (ready.email) {
+      JobQueue.enqueue('report.email', { reportId }, { id: `report.email:${reportId}` });
+    }
+
+    return { file, pages };
+  }
+
+  // ✅ report.email job: PDF attached plus a signed download link
+  async email({ reportId }) {
+    const report = this.get(reportId);
+    if (!report || report.status !== 'ready') throw new Error(`Report ${reportId} is not ready`);
+
+    const user = this.users.get(report.userId);
+    const name = user ? user.fullName : 'there';
+    const link = this.downloadUrl(report);
+
+    const result = await MailService.send({
+      to: report.email,
+      subject: 'Your ChatAstro Complete Astrology Report ✨',
+      text: `Namaste ${name},\n\nYour complete Vedic astrology report is attached.\nYou can also download it within 7 days here: ${link}\n\nWith cosmic blessings,\nChatAstro`,
+      html: `<p>Namaste ${escapeHtml(name)},</p>
+<p>Your complete Vedic astrology report is attached.</p>
+<p>You can also <a href="${escapeHtml(link)}">download it here</a> within 7 days.</p>
+<p>With cosmic blessings,<br>ChatAstro</p>`,
+      attachments: [{ filename: 'ChatAstro-Report.pdf', path: this.filePath(report), contentType: 'application/pdf' }]
+    });
+
+    this.update(reportId, { emailedAt: new Date().toISOString(), mailTransport: result.transport, emailError: null });
+    return result;
+  }
+}
+
+module.exports = new ReportService();
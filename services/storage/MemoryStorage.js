@@ -0,0 +1,74 @@
+// In-memory storage backend (tests and throwaway local runs).
+// Values are cloned on the way in and out so callers get the same
+// copy-on-read behaviour as the SQLite backend.
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.items = new Map();
+  }
+
+  get(id) {
+    return clone(this.items.get(String(id)));
+  }
+
+  set(id, value) {
+    this.items.set(String(id), clone(value));
+    return this;
+  }
+
+  has(id) {
+    return this.items.has(String(id));
+  }
+
+  delete(id) {
+    return this.items.delete(String(id));
+  }
+
+  values() {
+    return [...this.items.values()].map(clone);
+  }
+
+  where(field, value) {
+    return this.values().filter(item => item && item[field] === value);
+  }
+
+  count() {
+    return this.items.size;
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+class MemoryStorage {
+  constructor() {
+    this.driver = 'memory';
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  // Single-threaded and synchronous, so a plain call is already atomic
+  transaction(fn) {
+    return fn();
+  }
+
+  migrate() {
+    return { applied: [], version: null };
+  }
+
+  close() {
+    this.collections.clear();
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,128 @@
+// File-based SQLite storage backend (default for deployments).
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrations } = require('./migrations');
+
+class SqliteCollection {
+  constructor(db, name) {
+    this.name = name;
+    this.statements = {
+      get: db.prepare(`SELECT data FROM ${name} WHERE id = ?`),
+      set: db.prepare(`
+        INSERT INTO ${name} (id, data) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = datetime('now')
+      `),
+      delete: db.prepare(`DELETE FROM ${name} WHERE id = ?`),
+      values: db.prepare(`SELECT data FROM ${name} ORDER BY created_at`),
+      where: db.prepare(`SELECT data FROM ${name} WHERE json_extract(data, '$.' || ?) = ? ORDER BY created_at`),
+      count: db.prepare(`SELECT COUNT(*) AS total FROM ${name}`),
+      clear: db.prepare(`DELETE FROM ${name}`)
+    };
+  }
+
+  get(id) {
+    const row = this.statements.get.get(String(id));
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  set(id, value) {
+    this.statements.set.run(String(id), JSON.stringify(value));
+    return this;
+  }
+
+  has(id) {
+    return !!this.statements.get.get(String(id));
+  }
+
+  delete(id) {
+    return this.statements.delete.run(String(id)).changes > 0;
+  }
+
+  values() {
+    return this.statements.values.all().map(row => JSON.parse(row.data));
+  }
+
+  where(field, value) {
+    // SQLite has no boolean type - json_extract returns 1/0 for true/false
+    const bound = typeof value === 'boolean' ? Number(value) : value;
+    return this.statements.where.all(field, bound).map(row => JSON.parse(row.data));
+  }
+
+  count() {
+    return this.statements.count.get().total;
+  }
+
+  clear() {
+    this.statements.clear.run();
+  }
+}
+
+class SqliteStorage {
+  constructor(filename) {
+    this.driver = 'sqlite';
+    this.filename = filename;
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      const table = this.db
+        .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+        .get(name);
+      if (!table) {
+        throw new Error(`Unknown storage collection "${name}" - add a migration that creates it`);
+      }
+      this.collections.set(name, new SqliteCollection(this.db, name));
+    }
+    return this.collections.get(name);
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  // ✅ Apply pending schema migrations in order
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+      )
+    `);
+
+    const current = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+    const applied = [];
+
+    migrations
+      .filter(migration => migration.version > current)
+      .sort((a, b) => a.version - b.version)
+      .forEach(migration => {
+        this.db.transaction(() => {
+          migration.up(this.db);
+          record.run(migration.version, migration.name);
+        })();
+        applied.push(migration.version);
+        console.log(`🗄️ Applied migration ${migration.version}: ${migration.name}`);
+      });
+
+    return { applied, version: applied.length ? applied[applied.length - 1] : current };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
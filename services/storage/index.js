@@ -0,0 +1,43 @@
+// Storage factory - STORAGE_DRIVER=sqlite (default) or memory
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStorage = require('./MemoryStorage');
+const { dataPath } = require('../dataDir');
+
+// Where the database lived before DATA_DIR - inside the repo, next to index.html
+const LEGACY_DATABASE_PATH = path.join(__dirname, '..', '..', 'db', 'chatastro.db');
+
+// <DATA_DIR>/chatastro.db, or the legacy file while it has not been moved there
+function defaultDatabasePath() {
+  const filename = dataPath('chatastro.db');
+  if (!fs.existsSync(filename) && fs.existsSync(LEGACY_DATABASE_PATH)) {
+    console.warn(`⚠️ Using the database at ${LEGACY_DATABASE_PATH} - move it (with its -wal/-shm files) to ${filename} or set DATABASE_PATH`);
+    return LEGACY_DATABASE_PATH;
+  }
+  return filename;
+}
+
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'sqlite';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'sqlite': {
+      // Loaded lazily so the memory driver works without the native module
+      const SqliteStorage = require('./SqliteStorage');
+      const filename = options.filename || process.env.DATABASE_PATH || defaultDatabasePath();
+      const storage = new SqliteStorage(filename);
+      storage.migrate();
+      return storage;
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use sqlite or memory.`);
+  }
+}
+
+module.exports = createStorage();
+module.exports.createStorage = createStorage;
@@ -0,0 +1,170 @@
+// Schema migrations for the SQLite storage backend.
+// Append new entries with the next version number - never edit one that has shipped.
+// Each `up(db)` runs inside a transaction together with its schema_migrations row.
+
+// Every collection is a table of JSON documents keyed by id
+function createCollectionTable(db, name) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ${name} (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+const migrations = [
+  {
+    version: 1,
+    name: 'initial_collections',
+    up(db) {
+      ['users', 'sessions', 'astro_cache', 'user_states', 'orders', 'payments']
+        .forEach(name => createCollectionTable(db, name));
+    }
+  },
+  {
+    version: 2,
+    name: 'session_turns',
+    // Sessions used to keep `messages` ({ user, bot }) and a flat `context` string
+    up(db) {
+      const update = db.prepare('UPDATE sessions SET data = ? WHERE id = ?');
+
+      db.prepare('SELECT id, data FROM sessions').all().forEach(row => {
+        const session = JSON.parse(row.data);
+        if (Array.isArray(session.turns)) return;
+
+        session.turns = (session.messages || []).flatMap(entry => [
+          { role: 'user', content: entry.user, timestamp: entry.timestamp, classification: entry.classification },
+          { role: 'assistant', content: entry.bot, timestamp: entry.timestamp }
+        ]);
+        session.summary = '';
+        delete session.messages;
+        delete session.context;
+
+        update.run(JSON.stringify(session), row.id);
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'credit_ledger',
+    // Carry over `remainingQuestions` from user states as opening ledger entries
+    up(db) {
+      createCollectionTable(db, 'credit_ledger');
+      createCollectionTable(db, 'credit_balances');
+
+      const insertEntry = db.prepare('INSERT INTO credit_ledger (id, data) VALUES (?, ?)');
+      const insertBalance = db.prepare('INSERT INTO credit_balances (id, data) VALUES (?, ?)');
+      const now = new Date().toISOString();
+
+      db.prepare('SELECT id, data FROM user_states').all().forEach(row => {
+        const balance = JSON.parse(row.data).remainingQuestions || 0;
+        if (balance <= 0) return;
+
+        const id = `opening_balance:${row.id}`;
+        insertEntry.run(id, JSON.stringify({
+          id,
+          userId: row.id,
+          delta: balance,
+          reason: 'opening_balance',
+          reference: null,
+          metadata: {},
+          balanceAfter: balance,
+          createdAt: now
+        }));
+        insertBalance.run(row.id, JSON.stringify({ userId: row.id, balance, updatedAt: now }));
+      });
+    }
+  },
+  {
+    version: 4,
+    name: 'webhook_events',
+    up(db) {
+      createCollectionTable(db, 'webhook_events');
+    }
+  },
+  {
+    version: 5,
+    name: 'accounts',
+    up(db) {
+      createCollectionTable(db, 'accounts');
+      createCollectionTable(db, 'account_tokens');
+    }
+  },
+  {
+    version: 6,
+    name: 'otp_codes',
+    up(db) {
+      createCollectionTable(db, 'otp_codes');
+    }
+  },
+  {
+    version: 7,
+    name: 'drop_account_tokens',
+    // Session tokens are signed now - nothing is stored per token
+    up(db) {
+      db.exec('DROP TABLE IF EXISTS account_tokens');
+    }
+  },
+  {
+    version: 8,
+    name: 'profiles',
+    up(db) {
+      createCollectionTable(db, 'profiles');
+    }
+  },
+  {
+    version: 9,
+    name: 'matches',
+    up(db) {
+      createCollectionTable(db, 'matches');
+    }
+  },
+  {
+    version: 10,
+    name: 'report_jobs',
+    up(db) {
+      createCollectionTable(db, 'jobs');
+      createCollectionTable(db, 'reports');
+    }
+  },
+  {
+    version: 11,
+    name: 'chart_cache',
+    // Chart data is cached per birth-input hash now; the per-user cache is dropped
+    up(db) {
+      createCollectionTable(db, 'chart_cache');
+      db.exec('DROP TABLE IF EXISTS astro_cache');
+    }
+  },
+  {
+    version: 12,
+    name: 'historical_timezone_offsets',
+    // Offsets used to be 5.5 for Asia/Kolkata and 0 for everywhere else
+    up(db) {
+      const { resolveOffset, describeResolution, isValidTimeZone } = require('../astrology/timezone');
+
+      ['users', 'profiles'].forEach(table => {
+        const update = db.prepare(`UPDATE ${table} SET data = ? WHERE id = ?`);
+
+        db.prepare(`SELECT id, data FROM ${table}`).all().forEach(row => {
+          const record = JSON.parse(row.data);
+          const birthData = record.birthData;
+          if (!birthData || !birthData.timezone || !isValidTimeZone(birthData.timezone)) return;
+
+          const resolution = resolveOffset(birthData.timezone, birthData);
+          record.birthData = {
+            ...birthData,
+            timezoneOffset: resolution.offset,
+            timezoneStatus: resolution.status,
+            timezoneNote: describeResolution(resolution, birthData)
+          };
+          update.run(JSON.stringify(record), row.id);
+        });
+      });
+    }
+  }
+];
+
+module.exports = { migrations, createCollectionTable };